@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Generates src/data/emoji-data.json from Unicode's emoji-test.txt
+ *
+ * Usage:
+ *   curl -O https://unicode.org/Public/emoji/latest/emoji-test.txt
+ *   node scripts/generate-emoji-data.js emoji-test.txt
+ *
+ * Only fully-qualified and component entries are kept; the detector looks up
+ * unqualified forms by ignoring variation selectors.
+ */
+
+/* eslint-disable no-console */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// 1F44B 1F3FD ; fully-qualified # 👋🏽 E1.0 waving hand: medium skin tone
+const ENTRY_REGEX = /^([0-9A-F ]+?)\s*;\s*([a-z-]+)\s*#\s*\S+\s+E(\d+\.\d+)\s+(.+)$/;
+
+function parseEmojiTest(text) {
+  const groups = [];
+  const subgroups = [];
+  const emojis = {};
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('# group:')) {
+      groups.push(trimmed.slice('# group:'.length).trim());
+      continue;
+    }
+    if (trimmed.startsWith('# subgroup:')) {
+      subgroups.push(trimmed.slice('# subgroup:'.length).trim());
+      continue;
+    }
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    const match = trimmed.match(ENTRY_REGEX);
+    if (!match) {
+      throw new Error(`Unrecognized line: ${line}`);
+    }
+
+    const [, codePoints, status, version, name] = match;
+    if (status !== 'fully-qualified' && status !== 'component') {
+      continue;
+    }
+
+    const emoji = String.fromCodePoint(...codePoints.split(' ').map(hex => parseInt(hex, 16)));
+    emojis[emoji] = [name, groups.length - 1, subgroups.length - 1, version];
+  }
+
+  return { groups, subgroups, emojis };
+}
+
+function main() {
+  const inputPath = process.argv[2];
+  if (!inputPath) {
+    console.error('Usage: node scripts/generate-emoji-data.js <emoji-test.txt>');
+    process.exit(1);
+  }
+
+  const text = fs.readFileSync(inputPath, 'utf8');
+  const data = parseEmojiTest(text);
+  const versionMatch = text.match(/^# Version: (\S+)/m);
+
+  const output = {
+    version: versionMatch ? versionMatch[1] : null,
+    groups: data.groups,
+    subgroups: data.subgroups,
+    // emoji -> [CLDR short name, group index, subgroup index, Emoji version]
+    emojis: data.emojis
+  };
+
+  const outputPath = path.join(__dirname, '..', 'src', 'data', 'emoji-data.json');
+  fs.writeFileSync(outputPath, JSON.stringify(output) + '\n', 'utf8');
+  console.log(`Wrote ${Object.keys(data.emojis).length} emojis to ${outputPath}`);
+}
+
+main();
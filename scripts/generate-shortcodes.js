@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Generates src/data/shortcodes.json from the gemoji package
+ * (GitHub's emoji shortcode list, also used by Slack-style :name: syntax)
+ *
+ * Usage:
+ *   npm install --no-save gemoji
+ *   node scripts/generate-shortcodes.js
+ */
+
+/* eslint-disable no-console */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+async function main() {
+  // gemoji is published as an ES module only
+  const { gemoji } = await import('gemoji');
+
+  const shortcodes = {};
+  for (const entry of gemoji) {
+    for (const name of entry.names) {
+      shortcodes[name] = entry.emoji;
+    }
+  }
+
+  const sorted = Object.fromEntries(
+    Object.keys(shortcodes).sort().map(name => [name, shortcodes[name]])
+  );
+
+  const outputPath = path.join(__dirname, '..', 'src', 'data', 'shortcodes.json');
+  fs.writeFileSync(outputPath, JSON.stringify(sorted, null, 2) + '\n', 'utf8');
+  console.log(`Wrote ${Object.keys(sorted).length} shortcodes to ${outputPath}`);
+}
+
+main().catch(error => {
+  console.error(`Failed to generate shortcodes: ${error.message}`);
+  process.exit(1);
+});
@@ -4,7 +4,7 @@
  */
 
 const core = require('@actions/core');
-const { CLI } = require('./cli');
+const { CLI, hasFailures, exceedsMaxWarnings } = require('./cli');
 
 /**
  * Main GitHub Action execution function
@@ -14,7 +14,8 @@ async function run() {
     // Get action inputs
     const inputs = {
       path: core.getInput('path') || '.',
-      mode: core.getInput('mode') || 'check'
+      mode: core.getInput('mode') || 'check',
+      maxWarnings: core.getInput('max-warnings')
     };
 
     core.info('Emoji Linter GitHub Action starting...');
@@ -33,7 +34,11 @@ async function run() {
 
     try {
       // Run CLI in JSON format for structured output
-      results = await cli.runAndGetResults([inputs.mode, inputs.path], {
+      const args = [inputs.mode, inputs.path];
+      if (inputs.maxWarnings) {
+        args.push('--max-warnings', inputs.maxWarnings);
+      }
+      results = await cli.runAndGetResults(args, {
         format: 'json'
       });
     } catch (cliError) {
@@ -58,8 +63,15 @@ async function run() {
     core.info(`Found ${results.summary.totalEmojis} emojis in ${results.summary.filesWithEmojis} files`);
 
     // Determine if action should fail based on mode and results
-    if (inputs.mode === 'check' && hasEmojis) {
-      const failureMessage = `Found ${results.summary.totalEmojis} emojis in ${results.summary.filesWithEmojis} files. Emojis are not allowed.`;
+    // (warnings fail the check only past max-warnings)
+    if (inputs.mode === 'check' && hasFailures(results.summary, inputs.maxWarnings)) {
+      let failureMessage = `Found ${results.summary.totalEmojis} emojis in ${results.summary.filesWithEmojis} files. Emojis are not allowed.`;
+      if (exceedsMaxWarnings(results.summary, inputs.maxWarnings) &&
+          results.summary.totalEmojis === results.summary.totalWarnings) {
+        failureMessage = `Found ${results.summary.totalWarnings} warnings, more than the maximum of ${inputs.maxWarnings}.`;
+      } else if (results.summary.totalEmojis === 0) {
+        failureMessage = `Found ${results.summary.totalDirectives} directive problems.`;
+      }
       core.setFailed(failureMessage);
       return;
     }
@@ -75,7 +87,9 @@ async function run() {
       break;
     case 'fix':
       if (results.summary.filesFixed && results.summary.filesFixed > 0) {
-        core.info(`Removed ${results.summary.emojisRemoved} emojis from ${results.summary.filesFixed} files`);
+        core.info(results.summary.directivesRemoved
+          ? `Fixed ${results.summary.emojisRemoved} emojis and removed ${results.summary.directivesRemoved} unused directives in ${results.summary.filesFixed} files`
+          : `Fixed ${results.summary.emojisRemoved} emojis in ${results.summary.filesFixed} files`);
       } else if (hasEmojis) {
         core.warning(`Found ${results.summary.totalEmojis} emojis but no files were modified`);
       } else {
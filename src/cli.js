@@ -7,11 +7,15 @@
 
 const fs = require('fs');
 const path = require('path');
-const { Config } = require('./core/config');
-const { findEmojis, removeEmojis } = require('./core/detector');
+const readline = require('readline');
+const { Config, CONFIG_FILENAME } = require('./core/config');
+const { findEmojis } = require('./core/detector');
+const { fixMatches, getEdits, STRATEGIES } = require('./core/fixer');
 const { FileScanner } = require('./core/scanner');
+const { analyzeProject, getSuggestions, buildConfig } = require('./core/init');
 const { 
   ValidationError,
+  FileError,
   formatError,
   formatSuccess,
   formatInfo,
@@ -19,6 +23,89 @@ const {
 } = require('./utils/errors');
 const { OutputFormatter, OutputUtils } = require('./utils/output');
 const { isDirectory } = require('./utils/files');
+const {
+  parseDirectives,
+  findSuppressingDirective,
+  isInsideDirective,
+  findDirectiveProblems,
+  isDirectiveProblem,
+  parseInlineConfig,
+  matchesTarget
+} = require('./utils/ignore');
+
+// How fix messages describe each strategy's edits
+const FIX_VERBS = {
+  remove: 'removed',
+  shortcode: 'replaced',
+  name: 'replaced',
+  escape: 'escaped'
+};
+
+/**
+ * Check whether a run reported more warnings than --max-warnings allows
+ * @param {Object} summary - Run summary with totalWarnings
+ * @param {number|string} [maxWarnings] - Allowed warnings; unlimited when unset
+ * @returns {boolean} True if the warnings exceed the maximum
+ */
+function exceedsMaxWarnings(summary, maxWarnings) {
+  if (maxWarnings === undefined || maxWarnings === null || maxWarnings === '') {
+    return false;
+  }
+  return (summary.totalWarnings || 0) > Number(maxWarnings);
+}
+
+/**
+ * Check whether a check run should fail: any error-level finding, or more
+ * warnings than allowed
+ * @param {Object} summary - Run summary with totalEmojis, totalDirectives
+ *   and totalWarnings
+ * @param {number|string} [maxWarnings] - Allowed warnings; unlimited when unset
+ * @returns {boolean} True if the run fails
+ */
+function hasFailures(summary, maxWarnings) {
+  const errorCount = summary.totalEmojis + (summary.totalDirectives || 0) - (summary.totalWarnings || 0);
+  return errorCount > 0 || exceedsMaxWarnings(summary, maxWarnings);
+}
+
+/**
+ * Add the findings of one file to a run summary. Directive problems are
+ * counted as directives, not emojis.
+ * @param {Object} summary - Run summary to update
+ * @param {Array} findings - Findings from findReportableEmojis
+ */
+function addToSummary(summary, findings) {
+  const emojis = findings.filter(finding => !isDirectiveProblem(finding));
+  if (emojis.length > 0) {
+    summary.filesWithEmojis++;
+  }
+  summary.totalEmojis += emojis.length;
+  summary.totalDirectives += findings.length - emojis.length;
+  summary.totalWarnings += findings.filter(finding => finding.severity === 'warning').length;
+
+  // Count emoji types
+  for (const emoji of emojis) {
+    summary.emojiTypes[emoji.type] = (summary.emojiTypes[emoji.type] || 0) + 1;
+  }
+}
+
+/**
+ * Describe what fix did to a file or a run, e.g. "removed 2 emojis,
+ * removed 1 unused directives"
+ * @param {string} verb - Verb of the fix strategy from FIX_VERBS
+ * @param {number} emojiCount - Emojis fixed
+ * @param {number} directiveCount - Unused directives deleted
+ * @returns {string} Description
+ */
+function describeFixes(verb, emojiCount, directiveCount) {
+  const parts = [];
+  if (emojiCount > 0 || directiveCount === 0) {
+    parts.push(`${verb} ${emojiCount} emojis`);
+  }
+  if (directiveCount > 0) {
+    parts.push(`removed ${directiveCount} unused directives`);
+  }
+  return parts.join(', ');
+}
 
 /**
  * Main CLI class
@@ -26,12 +113,55 @@ const { isDirectory } = require('./utils/files');
 class CLI {
   /**
    * Creates a new CLI instance
-   * @param {string} [configPath] - Path to configuration file
+   *
+   * A config path given here is loaded right away. Without one, the config
+   * is looked up on first use, after the command line has had the chance to
+   * pick another with --config or --no-config, so a broken config file in
+   * the working directory does not stop --help, --version or init.
+   *
+   * @param {string|false} [configPath] - Path to configuration file, or
+   *   false to use the defaults
    */
   constructor(configPath = null) {
-    this.config = new Config(configPath);
-    this.scanner = new FileScanner(this.config);
+    this.loadedConfig = null;
+    this.fileScanner = null;
     this.formatter = new OutputFormatter();
+    if (configPath !== null) {
+      this.config = new Config(configPath);
+    }
+  }
+
+  /**
+   * Config in use, found from the working directory on first use
+   * @returns {Config} Loaded config
+   */
+  get config() {
+    if (!this.loadedConfig) {
+      this.config = new Config();
+    }
+    return this.loadedConfig;
+  }
+
+  /**
+   * Use another config, for the scanner as well
+   * @param {Config} config - Loaded config
+   */
+  set config(config) {
+    this.loadedConfig = config;
+    if (this.fileScanner) {
+      this.fileScanner.config = config;
+    }
+  }
+
+  /**
+   * File scanner using the config in use
+   * @returns {FileScanner} Scanner
+   */
+  get scanner() {
+    if (!this.fileScanner) {
+      this.fileScanner = new FileScanner(this.config);
+    }
+    return this.fileScanner;
   }
 
   /**
@@ -63,7 +193,7 @@ class CLI {
     }
 
     // Parse command
-    const validCommands = ['check', 'fix'];
+    const validCommands = ['check', 'fix', 'init'];
     if (!validCommands.includes(args[0])) {
       throw new ValidationError(`Invalid command: ${args[0]}. Valid commands: ${validCommands.join(', ')}`);
     }
@@ -79,15 +209,21 @@ class CLI {
         // Handle long options
         const optionName = arg.slice(2);
         
-        if (['help', 'version', 'verbose'].includes(optionName)) {
+        if (['help', 'version', 'verbose', 'no-config', 'yes', 'stdin'].includes(optionName)) {
           // Boolean flags
           parsed.options[optionName] = true;
-        } else if (optionName === 'format') {
+        } else if (['format', 'strategy', 'ignore-path', 'max-warnings', 'config', 'stdin-filename'].includes(optionName)) {
           // Options with values
           if (i + 1 >= args.length) {
             throw new Error(`Option --${optionName} requires a value`);
           }
           parsed.options[optionName] = args[++i];
+        } else if (['allow', 'ignore-pattern', 'rule'].includes(optionName)) {
+          // Repeatable options with values
+          if (i + 1 >= args.length) {
+            throw new Error(`Option --${optionName} requires a value`);
+          }
+          parsed.options[optionName] = [...(parsed.options[optionName] || []), args[++i]];
         } else {
           throw new Error(`Unknown option: --${optionName}`);
         }
@@ -105,6 +241,9 @@ class CLI {
           case 'v':
             parsed.options.verbose = true;
             break;
+          case 'y':
+            parsed.options.yes = true;
+            break;
           default:
             throw new Error(`Unknown option: -${flag}`);
           }
@@ -136,8 +275,39 @@ class CLI {
       throw new Error(`Invalid format: ${options.format}. Valid formats: table, json, minimal`);
     }
 
-    // Commands that require files
-    if (['check', 'fix'].includes(command) && files.length === 0) {
+    // Validate strategy option
+    if (options.strategy && !STRATEGIES.includes(options.strategy)) {
+      throw new Error(`Invalid strategy: ${options.strategy}. Valid strategies: ${STRATEGIES.join(', ')}`);
+    }
+
+    // Validate max-warnings option
+    if (options['max-warnings'] !== undefined && !/^\d+$/.test(options['max-warnings'])) {
+      throw new Error(`Invalid max-warnings: ${options['max-warnings']}. Must be a non-negative integer`);
+    }
+
+    // Validate config options
+    if (options.config && options['no-config']) {
+      throw new Error('Options --config and --no-config cannot be used together');
+    }
+    for (const rule of options.rule || []) {
+      if (!/^[^=]+=[^=]+$/.test(rule)) {
+        throw new Error(`Invalid rule: ${rule}. Expected key=severity, e.g. flags=off`);
+      }
+    }
+
+    // Validate stdin options
+    if (options.stdin && !['check', 'fix'].includes(command)) {
+      throw new Error('Option --stdin only works with check and fix');
+    }
+    if (options.stdin && files.length > 0) {
+      throw new ValidationError('Option --stdin cannot be used with file or directory arguments');
+    }
+    if (options['stdin-filename'] && !options.stdin) {
+      throw new Error('Option --stdin-filename requires --stdin');
+    }
+
+    // Commands that require files (or --stdin)
+    if (['check', 'fix'].includes(command) && files.length === 0 && !options.stdin) {
       throw new ValidationError(`Command '${command}' requires at least one file or directory`);
     }
   }
@@ -164,11 +334,16 @@ class CLI {
         process.exit(0);
       }
 
-      // Update formatter options
-      this.formatter = new OutputFormatter({
-        useColors: process.stdout.isTTY,
-        maxContextLines: this.config.config.output.maxContextLines
-      });
+      // init writes a new config, so it never reads the existing one
+      if (parsed.command !== 'init') {
+        this.applyConfigOptions(parsed.options);
+
+        // Update formatter options
+        this.formatter = new OutputFormatter({
+          useColors: process.stdout.isTTY,
+          maxContextLines: this.config.config.output.maxContextLines
+        });
+      }
 
       // Execute command
       await this.executeCommand(parsed);
@@ -192,11 +367,47 @@ class CLI {
     case 'fix':
       await this.fixMode(files, options);
       break;
+    case 'init':
+      await this.initMode(files, options);
+      break;
     default:
       throw new ValidationError(`Unknown command: ${command}`);
     }
   }
 
+  /**
+   * Load the config chosen with --config or --no-config, then apply
+   * --ignore-path, --allow, --ignore-pattern and --rule on top of it.
+   * Command line settings win over every config file and override.
+   * @param {Object} options - Parsed command options
+   * @throws {FileError} When the --config file does not exist
+   */
+  applyConfigOptions(options) {
+    if (options.config && !fs.existsSync(options.config)) {
+      throw new FileError(`Config file not found: ${options.config}`, options.config, 'ENOENT');
+    }
+    if (options.config || options['no-config']) {
+      this.config = new Config(options['no-config'] ? false : options.config);
+    }
+
+    if (options['ignore-path']) {
+      this.config.setIgnorePath(options['ignore-path']);
+    }
+
+    if (options.allow || options['ignore-pattern'] || options.rule) {
+      const rules = {};
+      for (const rule of options.rule || []) {
+        const [key, severity] = rule.split('=').map(part => part.trim());
+        rules[key] = severity;
+      }
+      this.config.setCliConfig({
+        allow: options.allow,
+        ignorePatterns: options['ignore-pattern'],
+        rules
+      });
+    }
+  }
+
   /**
    * Expand paths that are directories into individual file paths
    * @param {Array} paths - Array of file and directory paths
@@ -219,6 +430,10 @@ class CLI {
           expandedFiles.push(inputPath);
         }
       } catch (error) {
+        // Broken configs must reach the user
+        if (error instanceof ValidationError) {
+          throw error;
+        }
         // If we can't determine if it's a directory, treat it as a file
         // This will let the scanner handle the error appropriately
         expandedFiles.push(inputPath);
@@ -228,6 +443,118 @@ class CLI {
     return expandedFiles;
   }
 
+  /**
+   * Remove or replace the given emoji matches in file content
+   *
+   * Only the matches are edited, so ignored lines and allowed emojis come
+   * out unchanged.
+   *
+   * @param {string} content - File content
+   * @param {Array} emojis - Matches to fix, from findReportableEmojis
+   * @param {string} filePath - File path, used to pick the escape syntax
+   * @param {Object} options - Command options (--strategy overrides the config)
+   * @returns {string} Fixed content
+   */
+  fixContent(content, emojis, filePath, options = {}) {
+    return fixMatches(content, emojis, this.getFixOptions(filePath, options));
+  }
+
+  /**
+   * Get the cleanup options fix uses for a file
+   * @param {string} filePath - File being fixed
+   * @param {Object} options - Command options (--strategy overrides the config)
+   * @returns {Object} Options for fixMatches
+   */
+  getFixOptions(filePath, options = {}) {
+    const cleanupOptions = this.config.forFile(filePath).getCleanupOptions();
+    return {
+      ...cleanupOptions,
+      strategy: options.strategy || cleanupOptions.strategy,
+      filePath
+    };
+  }
+
+  /**
+   * Find the reportable emojis that fix would change. Unjustified
+   * directives need a human, and matches the strategy keeps as they are
+   * (such as escapes outside string literals) are not fixes.
+   * @param {string} content - File content
+   * @param {string} filePath - File path
+   * @param {Object} options - Command options
+   * @returns {Array} Matches to fix
+   */
+  findFixableEmojis(content, filePath, options = {}) {
+    const emojis = this.findReportableEmojis(content, filePath).filter(emoji => emoji.fixable !== false);
+    return getEdits(content, emojis, this.getFixOptions(filePath, options)).map(edit => edit.match);
+  }
+
+  /**
+   * Find emojis in file content, minus ignored emojis and lines disabled
+   * by directive comments, plus any unused or unjustified directives
+   * @param {string} content - File content
+   * @param {string} [filePath] - File path, used to pick the comment syntax
+   * @returns {Array} Emoji matches and directive problems that should be
+   *   reported, each with a severity
+   */
+  findReportableEmojis(content, filePath) {
+    // Nested config files closer to the file override the project config
+    const fileConfig = this.config.forFile(filePath);
+    const detectionOptions = fileConfig.getDetectionOptions();
+    const emojis = findEmojis(content, detectionOptions);
+    const directives = parseDirectives(content, filePath);
+    const inlineConfig = parseInlineConfig(directives);
+    // Inline settings win over the config's overrides for this file
+    const fileOptions = fileConfig.getFileOptions();
+    const severity = inlineConfig.severity || fileOptions.severity;
+    const max = inlineConfig.max !== null ? inlineConfig.max : fileOptions.max;
+
+    let reportable = emojis.filter(emoji => {
+      // Check if emoji should be ignored (shortcodes also match their emoji)
+      if (fileConfig.shouldIgnoreEmoji(emoji) ||
+          matchesTarget(inlineConfig.allow, emoji) ||
+          fileConfig.getRuleSeverity(emoji) === 'off') {
+        return false;
+      }
+
+      // Check if a directive allows the emoji, or names it as a target
+      if (isInsideDirective(directives, emoji)) {
+        return false;
+      }
+      const directive = findSuppressingDirective(directives, emoji.lineNumber, emoji);
+      if (directive) {
+        directive.used = true;
+        return false;
+      }
+
+      return true;
+    });
+
+    // "max: N" lets the file keep its first N emojis
+    if (max !== null) {
+      reportable = reportable.slice(max);
+    }
+    if (severity === 'off') {
+      reportable = [];
+    }
+
+    // Rules, the file's severity and text-presentation symbols (♥, ✔) may
+    // turn findings into warnings
+    for (const emoji of reportable) {
+      const isWarning = severity === 'warn' ||
+        fileConfig.getRuleSeverity(emoji) === 'warn' ||
+        (emoji.presentation === 'text' && detectionOptions.textPresentation === 'warn');
+      emoji.severity = isWarning ? 'warning' : 'error';
+    }
+
+    const problems = findDirectiveProblems(directives, fileConfig.getDirectiveOptions());
+    for (const problem of problems) {
+      problem.severity = 'error';
+    }
+
+    return [...reportable, ...problems]
+      .sort((a, b) => a.lineNumber - b.lineNumber || a.columnNumber - b.columnNumber);
+  }
+
   /**
    * Check mode - detect emojis in files and report results
    * @param {Array} files - Files to check
@@ -239,6 +566,8 @@ class CLI {
       totalFiles: 0,
       filesWithEmojis: 0,
       totalEmojis: 0,
+      totalDirectives: 0,
+      totalWarnings: 0,
       emojiTypes: {},
       errors: []
     };
@@ -246,11 +575,13 @@ class CLI {
     const startTime = Date.now();
 
     try {
-      // Expand directory paths into individual file paths
-      const expandedFiles = await this.expandPaths(files);
+      // Read stdin, or expand directory paths into individual file paths
+      const scanResults = options.stdin
+        ? this.scanner.scanStdin(options['stdin-filename'])
+        : this.scanner.scanFiles(await this.expandPaths(files));
       
       // Process files
-      for await (const scanResult of this.scanner.scanFiles(expandedFiles)) {
+      for await (const scanResult of scanResults) {
         summary.totalFiles++;
 
         if (scanResult.error) {
@@ -281,35 +612,10 @@ class CLI {
 
         // Detect emojis
         try {
-          const emojis = findEmojis(scanResult.content);
-          
-          // Filter out ignored emojis and lines
-          const filteredEmojis = emojis.filter(emoji => {
-            // Check if emoji should be ignored
-            if (this.config.shouldIgnoreEmoji(emoji.emoji)) {
-              return false;
-            }
-
-            // Check if line should be ignored
-            const lines = scanResult.content.split('\n');
-            const line = lines[emoji.lineNumber - 1];
-            if (line && this.config.shouldIgnoreLine(line)) {
-              return false;
-            }
-
-            return true;
-          });
+          const filteredEmojis = this.findReportableEmojis(scanResult.content, scanResult.filePath);
 
           // Update summary
-          if (filteredEmojis.length > 0) {
-            summary.filesWithEmojis++;
-            summary.totalEmojis += filteredEmojis.length;
-
-            // Count emoji types
-            for (const emoji of filteredEmojis) {
-              summary.emojiTypes[emoji.type] = (summary.emojiTypes[emoji.type] || 0) + 1;
-            }
-          }
+          addToSummary(summary, filteredEmojis);
 
           results.push({
             filePath: scanResult.filePath,
@@ -350,9 +656,11 @@ class CLI {
         }
       }
 
-      // Exit with appropriate code
-      const exitCode = summary.totalEmojis > 0 ? 1 : 0;
-      process.exit(exitCode);
+      // Exit with appropriate code (warnings fail the check only past --max-warnings)
+      if (exceedsMaxWarnings(summary, options['max-warnings'])) {
+        console.error(`Too many warnings: ${summary.totalWarnings} (maximum allowed: ${options['max-warnings']})`);
+      }
+      process.exit(hasFailures(summary, options['max-warnings']) ? 1 : 0);
 
     } catch (error) {
       throw new Error(`Check mode failed: ${error?.message || 'Unknown error'}`);
@@ -368,6 +676,13 @@ class CLI {
     const results = [];
     let filesModified = 0;
     let totalEmojisRemoved = 0;
+    let totalDirectivesRemoved = 0;
+    const verbs = new Set();
+
+    if (options.stdin) {
+      await this.fixStdin(options);
+      return;
+    }
 
     try {
       // Expand directory paths into individual file paths
@@ -394,24 +709,7 @@ class CLI {
 
         try {
           // First, detect emojis to see if file needs processing
-          const emojis = findEmojis(scanResult.content);
-          
-          // Filter out ignored emojis and lines
-          const filteredEmojis = emojis.filter(emoji => {
-            // Check if emoji should be ignored
-            if (this.config.shouldIgnoreEmoji(emoji.emoji)) {
-              return false;
-            }
-
-            // Check if line should be ignored
-            const lines = scanResult.content.split('\n');
-            const line = lines[emoji.lineNumber - 1];
-            if (line && this.config.shouldIgnoreLine(line)) {
-              return false;
-            }
-
-            return true;
-          });
+          const filteredEmojis = this.findFixableEmojis(scanResult.content, scanResult.filePath, options);
 
           // Skip files with no emojis that need fixing
           if (filteredEmojis.length === 0) {
@@ -421,22 +719,30 @@ class CLI {
             continue;
           }
 
-          // Remove emojis from content
-          const fixedContent = removeEmojis(scanResult.content);
+          // Remove or replace emojis in content
+          const fixedContent = this.fixContent(scanResult.content, filteredEmojis, scanResult.filePath, options);
 
           // Write fixed content to file
           fs.writeFileSync(scanResult.filePath, fixedContent, 'utf8');
 
+          const directivesRemoved = filteredEmojis.filter(isDirectiveProblem).length;
+          const emojisRemoved = filteredEmojis.length - directivesRemoved;
           filesModified++;
-          totalEmojisRemoved += filteredEmojis.length;
+          totalEmojisRemoved += emojisRemoved;
+          totalDirectivesRemoved += directivesRemoved;
+          const verb = FIX_VERBS[this.getFixOptions(scanResult.filePath, options).strategy] || 'fixed';
+          if (emojisRemoved > 0) {
+            verbs.add(verb);
+          }
 
           console.log(
-            `Fixed: ${scanResult.filePath} (removed ${filteredEmojis.length} emojis)`
+            `Fixed: ${scanResult.filePath} (${describeFixes(verb, emojisRemoved, directivesRemoved)})`
           );
 
           results.push({
             filePath: scanResult.filePath,
-            emojisRemoved: filteredEmojis.length,
+            emojisRemoved,
+            directivesRemoved,
             originalSize: scanResult.size,
             newSize: Buffer.byteLength(fixedContent, 'utf8')
           });
@@ -454,7 +760,7 @@ class CLI {
       // Show summary
       console.log(
         formatSuccess(
-          `Fixed ${filesModified} files, removed ${totalEmojisRemoved} emojis`
+          `Fixed ${filesModified} files, ${describeFixes(verbs.size === 1 ? [...verbs][0] : 'fixed', totalEmojisRemoved, totalDirectivesRemoved)}`
         )
       );
 
@@ -463,6 +769,118 @@ class CLI {
     }
   }
 
+  /**
+   * Fix text piped to stdin and write the result to stdout. Ignored files
+   * are written back unchanged, so the output can always replace the input.
+   * @param {Object} options - Command options (--stdin-filename, --strategy)
+   */
+  async fixStdin(options) {
+    try {
+      for await (const scanResult of this.scanner.scanStdin(options['stdin-filename'])) {
+        if (scanResult.error) {
+          throw scanResult.error;
+        }
+
+        let content = scanResult.content;
+        if (!this.config.shouldIgnoreFile(scanResult.filePath, content)) {
+          const emojis = this.findFixableEmojis(content, scanResult.filePath, options);
+          content = this.fixContent(content, emojis, scanResult.filePath, options);
+        }
+        process.stdout.write(content);
+      }
+    } catch (error) {
+      throw new Error(`Fix mode failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Init mode - inspect the project and write a config tailored to it
+   * @param {Array} files - Project directory (default: current directory)
+   * @param {Object} options - Command options (--yes accepts every suggestion
+   *   instead of asking)
+   */
+  async initMode(files, options) {
+    const directory = files[0] || '.';
+    const configPath = path.join(directory, CONFIG_FILENAME);
+
+    // A package.json counts only with an emojiLinter key, which the new
+    // file would shadow since it comes first in the lookup order
+    let existing = null;
+    try {
+      existing = new Config(false).findConfigLayer(path.resolve(directory))?.path;
+    } catch (error) {
+      // A config file that fails to load still exists
+      if (!error.configPath) {
+        throw error;
+      }
+      existing = error.configPath;
+    }
+    if (existing) {
+      throw new ValidationError(`Config file already exists: ${path.relative(process.cwd(), existing) || existing}`);
+    }
+
+    let prompt = null;
+    let answers = null;
+    try {
+      // Suggestions are based on what the defaults would report
+      const defaults = new Config(false);
+      const analysis = await analyzeProject(directory, new FileScanner(defaults), defaults.getDetectionOptions());
+
+      console.log(formatInfo(`Scanned ${analysis.totalFiles} files`));
+      if (analysis.code.emojis.length > 0) {
+        console.log(formatInfo(
+          `Found ${analysis.code.emojis.length} different emojis in code: ${analysis.code.emojis.join(' ')} ` +
+          '(run "emoji-linter fix" to remove them)'
+        ));
+      }
+
+      if (!options.yes) {
+        // Iterating lines buffers answers piped in ahead of the questions
+        prompt = readline.createInterface({ input: process.stdin });
+        answers = prompt[Symbol.asyncIterator]();
+      }
+
+      const accepted = [];
+      for (const suggestion of getSuggestions(analysis)) {
+        if (options.yes) {
+          console.log(`  ${suggestion.description}`);
+          accepted.push(suggestion.id);
+        } else if (await this.confirm(answers, `${suggestion.description}?`)) {
+          accepted.push(suggestion.id);
+        }
+      }
+
+      // Emojis are written as \u escapes so the config does not report itself
+      const config = buildConfig(analysis, accepted, defaults.config.ignore.files);
+      const json = JSON.stringify(config, null, 2)
+        .replace(/[\u0080-\uFFFF]/g, char => `\\u${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+      fs.writeFileSync(configPath, `${json}\n`, 'utf8');
+      console.log(formatSuccess(`Wrote ${configPath}`));
+
+    } catch (error) {
+      throw new Error(`Init mode failed: ${error.message}`);
+    } finally {
+      if (prompt) {
+        prompt.close();
+      }
+    }
+  }
+
+  /**
+   * Ask a yes/no question, defaulting to yes
+   * @param {AsyncIterator<string>} answers - Lines read from stdin
+   * @param {string} question - Question to ask
+   * @returns {Promise<boolean>} False if the answer starts with "n"
+   */
+  async confirm(answers, question) {
+    process.stdout.write(`${question} (Y/n) `);
+    const { value, done } = await answers.next();
+    if (!process.stdin.isTTY) {
+      process.stdout.write(`${done ? '' : value}\n`);
+    }
+    return done || !/^n/i.test(value.trim());
+  }
+
   /**
    * Show help message
    */
@@ -472,29 +890,49 @@ emoji-linter - Remove emojis from your code
 
 Usage:
   emoji-linter <command> [options] <files...>
+  emoji-linter <check|fix> [options] --stdin
 
 Commands:
   check    Check files for emojis and report results
   fix      Remove emojis from files
+  init     Write a .emoji-linter.config.json suited to the project
 
 Options:
-  --format <type>  Output format: table, json, minimal (default: table)
-  --verbose, -v    Show verbose output
-  --help, -h       Show this help message
-  --version, -V    Show version information
+  --format <type>         Output format: table, json, minimal (default: table)
+  --strategy <type>       Fix strategy: remove, shortcode, name, escape (default: remove)
+  --config <path>         Use this config file instead of looking for one
+  --no-config             Use the defaults without any config file
+  --allow <emoji>         Allow an emoji, shortcode or category (repeatable)
+  --ignore-pattern <glob> Skip files matching <glob> (repeatable)
+  --rule <key=severity>   Set error, warn or off for an emoji or category (repeatable)
+  --ignore-path <file>    Also skip files matching the patterns in <file>
+  --max-warnings <n>      Fail check when there are more than <n> warnings
+  --stdin                 Lint text from stdin; fix writes the result to stdout
+  --stdin-filename <path> Treat stdin as this file for configs and ignores
+  --yes, -y               Accept every init suggestion without asking
+  --verbose, -v           Show verbose output
+  --help, -h              Show this help message
+  --version, -V           Show version information
 
 Examples:
   emoji-linter check src/               # Check all files in src/
   emoji-linter check --format json .    # Check with JSON output
   emoji-linter fix src/*.js             # Fix JS files
   emoji-linter fix --verbose .          # Fix all files with verbose output
+  emoji-linter fix --strategy shortcode docs/  # Replace emojis with :shortcodes:
+  emoji-linter check --no-config --rule flags=off .  # Lint without a config file
+  emoji-linter init --yes                # Write a config for this project
+  cat app.js | emoji-linter fix --stdin --stdin-filename app.js  # Fix piped text
 
 Configuration:
-  Create a .emoji-linter.config.json file to customize behavior.
+  Create a .emoji-linter.config.json (or .js, .yml, .emoji-linterrc, or an
+  "emojiLinter" key in package.json) to customize behavior. Files matched by
+  .gitignore or .emoji-linterignore are skipped. --allow, --ignore-pattern and
+  --rule win over every config file.
   
 Exit Codes:
-  0 - Success (no emojis found in check mode)
-  1 - Emojis found (check mode) or error occurred
+  0 - Success (no errors and at most --max-warnings warnings in check mode)
+  1 - Errors or too many warnings found (check mode) or error occurred
 `;
 
     console.log(help.trim());
@@ -529,6 +967,8 @@ Exit Codes:
       totalFiles: 0,
       filesWithEmojis: 0,
       totalEmojis: 0,
+      totalDirectives: 0,
+      totalWarnings: 0,
       emojiTypes: {},
       errors: []
     };
@@ -577,6 +1017,8 @@ Exit Codes:
         };
       }
 
+      this.applyConfigOptions(parsed.options);
+
       // Update formatter options
       this.formatter = new OutputFormatter({
         useColors: false, // Disable colors for GitHub Action output
@@ -625,6 +1067,8 @@ Exit Codes:
       totalFiles: 0,
       filesWithEmojis: 0,
       totalEmojis: 0,
+      totalDirectives: 0,
+      totalWarnings: 0,
       emojiTypes: {},
       errors: []
     };
@@ -657,35 +1101,10 @@ Exit Codes:
 
         // Detect emojis
         try {
-          const emojis = findEmojis(scanResult.content);
-          
-          // Filter out ignored emojis and lines
-          const filteredEmojis = emojis.filter(emoji => {
-            // Check if emoji should be ignored
-            if (this.config.shouldIgnoreEmoji(emoji.emoji)) {
-              return false;
-            }
-
-            // Check if line should be ignored
-            const lines = scanResult.content.split('\n');
-            const line = lines[emoji.lineNumber - 1];
-            if (line && this.config.shouldIgnoreLine(line)) {
-              return false;
-            }
-
-            return true;
-          });
+          const filteredEmojis = this.findReportableEmojis(scanResult.content, scanResult.filePath);
 
           // Update summary
-          if (filteredEmojis.length > 0) {
-            summary.filesWithEmojis++;
-            summary.totalEmojis += filteredEmojis.length;
-
-            // Count emoji types
-            for (const emoji of filteredEmojis) {
-              summary.emojiTypes[emoji.type] = (summary.emojiTypes[emoji.type] || 0) + 1;
-            }
-          }
+          addToSummary(summary, filteredEmojis);
 
           results.push({
             filePath: scanResult.filePath,
@@ -716,19 +1135,22 @@ Exit Codes:
   /**
    * Fix mode results - collect results without console output
    * @param {Array} files - Files to fix
-   * @param {Object} _options - Command options (unused)
+   * @param {Object} options - Command options
    * @returns {Promise<Object>} Results with files array and summary
    */
-  async fixModeResults(files, _options) { // eslint-disable-line no-unused-vars
+  async fixModeResults(files, options) {
     const results = [];
     const summary = {
       totalFiles: 0,
       filesWithEmojis: 0,
       totalEmojis: 0,
+      totalDirectives: 0,
+      totalWarnings: 0,
       emojiTypes: {},
       errors: [],
       filesFixed: 0,
-      emojisRemoved: 0
+      emojisRemoved: 0,
+      directivesRemoved: 0
     };
 
     try {
@@ -759,41 +1181,22 @@ Exit Codes:
 
         // Detect and fix emojis
         try {
-          const emojis = findEmojis(scanResult.content);
-          
-          // Filter out ignored emojis and lines
-          const filteredEmojis = emojis.filter(emoji => {
-            // Check if emoji should be ignored
-            if (this.config.shouldIgnoreEmoji(emoji.emoji)) {
-              return false;
-            }
-
-            // Check if line should be ignored
-            const lines = scanResult.content.split('\n');
-            const line = lines[emoji.lineNumber - 1];
-            if (line && this.config.shouldIgnoreLine(line)) {
-              return false;
-            }
-
-            return true;
-          });
+          const filteredEmojis = this.findReportableEmojis(scanResult.content, scanResult.filePath);
 
           // Update summary
+          addToSummary(summary, filteredEmojis);
           if (filteredEmojis.length > 0) {
-            summary.filesWithEmojis++;
-            summary.totalEmojis += filteredEmojis.length;
-
-            // Count emoji types
-            for (const emoji of filteredEmojis) {
-              summary.emojiTypes[emoji.type] = (summary.emojiTypes[emoji.type] || 0) + 1;
+            // Fix the file (unjustified directives need a human)
+            const fixable = this.findFixableEmojis(scanResult.content, scanResult.filePath, options);
+            if (fixable.length > 0) {
+              const fixedContent = this.fixContent(scanResult.content, fixable, scanResult.filePath, options);
+              fs.writeFileSync(scanResult.filePath, fixedContent, 'utf8');
+
+              const directivesRemoved = fixable.filter(isDirectiveProblem).length;
+              summary.filesFixed++;
+              summary.emojisRemoved += fixable.length - directivesRemoved;
+              summary.directivesRemoved += directivesRemoved;
             }
-
-            // Fix the file
-            const fixedContent = removeEmojis(scanResult.content);
-            fs.writeFileSync(scanResult.filePath, fixedContent, 'utf8');
-            
-            summary.filesFixed++;
-            summary.emojisRemoved += filteredEmojis.length;
           }
 
           results.push({
@@ -824,5 +1227,7 @@ Exit Codes:
 }
 
 module.exports = {
-  CLI
+  CLI,
+  hasFailures,
+  exceedsMaxWarnings
 };
\ No newline at end of file
@@ -4,6 +4,8 @@
 
 // Simplified config - removed unnecessary complexity!
 const DEFAULT_CONFIG = {
+  root: false, // true stops the upward search for parent config files
+  extends: [], // 'emoji-linter:recommended', 'emoji-linter:strict', 'emoji-linter:docs-friendly', packages or ./paths
   ignore: {
     files: [
       '**/*.md',
@@ -16,17 +18,31 @@ const DEFAULT_CONFIG = {
     emojis: [], // Can still ignore specific emojis if needed
     patterns: []
   },
+  detection: {
+    shortcodes: false, // Opt in to detecting :rocket: style shortcodes
+    escapes: false, // Opt in to detecting \u{1F680}, &#x1F680; and similar escapes
+    textPresentation: 'error' // 'error', 'warn' or 'off' for symbols like ♥ and ✔
+  },
+  directives: {
+    reportUnused: false, // Report disable comments that suppressed nothing (fix deletes them)
+    requireJustification: false // Require a reason: // emoji-linter-disable-line -- why
+  },
   output: {
     format: 'table',
     showContext: true,
     maxContextLines: 2
   },
   cleanup: {
-    preserveWhitespace: false,
+    preserveWhitespace: false, // false tidies spaces and emoji-only lines left by fix
+    strategy: 'remove', // 'remove', 'shortcode' (:warning:), 'name' ([warning]) or 'escape' (\u{26A0})
+    replacements: {}, // Per-emoji replacements, e.g. { "✅": "[x]" }; checked before strategy
     createBackup: false
-  }
-  // Removed detection config - it's just hardcoded now!
-  // Unicode: always true, shortcodes: removed, sequences/skinTones: part of Unicode
+  },
+  rules: {
+    default: 'error' // 'error', 'warn' or 'off'; add emojis, shortcodes or categories, e.g. { flags: 'off' }
+  },
+  overrides: [] // { files, excludedFiles, ignore, detection, directives, cleanup, rules, severity, max }
+  // Unicode detection is always on; sequences/skinTones are part of Unicode
 };
 
 module.exports = {
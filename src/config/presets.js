@@ -0,0 +1,50 @@
+/**
+ * Built-in config presets, used as "extends": "emoji-linter:<name>"
+ */
+
+// Status symbols that read well in tables and checklists
+const DOCS_EMOJIS = ['✅', '❌', '⚠️', 'ℹ️', '✔️', '✖️'];
+
+const PRESETS = {
+  // Sensible defaults: report every emoji, warn about text-style symbols
+  // and flag directive comments that no longer do anything
+  recommended: {
+    detection: {
+      textPresentation: 'warn'
+    },
+    directives: {
+      reportUnused: true
+    }
+  },
+
+  // No emojis in any form, and every exception has to be explained
+  strict: {
+    detection: {
+      shortcodes: true,
+      escapes: true,
+      textPresentation: 'error'
+    },
+    directives: {
+      reportUnused: true,
+      requireJustification: true
+    }
+  },
+
+  // Code stays clean, while docs may use status symbols and only get
+  // warnings for anything else
+  'docs-friendly': {
+    extends: 'emoji-linter:recommended',
+    overrides: [
+      {
+        files: ['*.md', '*.mdx', '*.rst', '*.txt', 'docs/**'],
+        ignore: { emojis: DOCS_EMOJIS },
+        detection: { textPresentation: 'off' },
+        severity: 'warn'
+      }
+    ]
+  }
+};
+
+module.exports = {
+  PRESETS
+};
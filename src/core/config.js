@@ -6,6 +6,13 @@ const fs = require('fs');
 const path = require('path');
 const { minimatch } = require('minimatch');
 const ignore = require('ignore');
+const yaml = require('js-yaml');
+const directives = require('../utils/ignore');
+const { getEmojiMetadata } = require('./metadata');
+const { validateSchema, formatProblem, findClosest } = require('../utils/validate');
+const { ValidationError, FileError } = require('../utils/errors');
+const CONFIG_SCHEMA = require('../config/schema.json');
+const { PRESETS } = require('../config/presets');
 
 const DEFAULT_CONFIG = {
   ignore: {
@@ -19,51 +26,505 @@ const DEFAULT_CONFIG = {
     emojis: [],
     patterns: []
   },
+  detection: {
+    shortcodes: false,
+    escapes: false,
+    textPresentation: 'error'
+  },
+  directives: {
+    reportUnused: false,
+    requireJustification: false
+  },
+  cleanup: {
+    preserveWhitespace: false,
+    strategy: 'remove',
+    replacements: {}
+  },
+  rules: {
+    default: 'error'
+  },
   output: {
     format: 'table',
     useColors: process.stdout.isTTY
   }
 };
 
+const CONFIG_FILENAME = '.emoji-linter.config.json';
+
+// Config files looked for in each directory, in order; the first one found wins
+const CONFIG_FILENAMES = [
+  '.emoji-linter.config.js',
+  '.emoji-linter.config.cjs',
+  '.emoji-linter.config.mjs',
+  CONFIG_FILENAME,
+  '.emoji-linter.yml',
+  '.emoji-linter.yaml',
+  '.emoji-linterrc',
+  'package.json'
+];
+
+// Key holding the config inside package.json
+const PACKAGE_JSON_KEY = 'emojiLinter';
+
+// Prefix of built-in presets in "extends"
+const PRESET_PREFIX = 'emoji-linter:';
+
+// Ignore files read in each directory, in order of increasing precedence
+const IGNORE_FILENAMES = ['.gitignore', '.emoji-linterignore'];
+
+/**
+ * Merge a user config over a base config, section by section
+ * @param {Object} base - Base configuration
+ * @param {Object} userConfig - User configuration to apply on top
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(base, userConfig) {
+  const merged = {};
+  for (const section of Object.keys(DEFAULT_CONFIG)) {
+    merged[section] = { ...base[section], ...userConfig[section] };
+  }
+  return merged;
+}
+
+/**
+ * Load a JS config module (CommonJS, or ESM with a default export).
+ * ESM is loaded with require(), which Node supports from 20.19; older
+ * versions get an error asking for a CommonJS config instead.
+ * @param {string} configPath - Absolute path to the config file
+ * @returns {Object} Exported configuration
+ * @throws {Error} When an ES module config has no default export, or
+ *   Node cannot require ES modules
+ */
+function loadJsConfig(configPath) {
+  const esmHint = 'it is an ES module (.mjs, or .js under a package.json with "type": "module"), ' +
+    'so use export default, or rename it to .cjs to use module.exports';
+
+  // Drop any cached copy so edits between runs are picked up
+  delete require.cache[require.resolve(configPath)];
+  let exported;
+  try {
+    exported = require(configPath);
+  } catch (error) {
+    if (error instanceof ReferenceError && error.message.includes('ES module scope')) {
+      throw new Error(`${error.message}: ${esmHint}`);
+    }
+    if (error.code === 'ERR_REQUIRE_ESM') {
+      throw new Error(`ES module configs need Node.js 20.19 or newer (running ${process.version}); ` +
+        'use a .cjs config with module.exports instead');
+    }
+    throw error;
+  }
+
+  // ESM configs export the settings as their default export
+  if (exported && exported[Symbol.toStringTag] === 'Module' && exported.default === undefined) {
+    throw new Error(`no default export: ${esmHint}`);
+  }
+  return exported && exported.default !== undefined ? exported.default : exported;
+}
+
+/**
+ * Parse the contents of a config file according to its name
+ * @param {string} configPath - Absolute path to the config file
+ * @returns {Object|undefined} User configuration, or undefined for a
+ *   package.json that does not parse or has no emojiLinter key
+ */
+function parseConfigFile(configPath) {
+  const extension = path.extname(configPath);
+
+  if (['.js', '.cjs', '.mjs'].includes(extension)) {
+    return loadJsConfig(configPath);
+  }
+
+  const text = fs.readFileSync(configPath, 'utf8');
+  if (path.basename(configPath) === 'package.json') {
+    // A package.json that does not parse (e.g. a test fixture) is not a
+    // config, wherever it sits; a broken emojiLinter key is still an error
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (error) {
+      return undefined;
+    }
+    return manifest && typeof manifest === 'object' ? manifest[PACKAGE_JSON_KEY] : undefined;
+  }
+  // .emoji-linterrc may hold YAML or JSON; YAML parses both
+  if (['.yml', '.yaml', ''].includes(extension)) {
+    return yaml.load(text, { filename: configPath });
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Describe where a config file failed to parse
+ * @param {Error} error - Error from JSON.parse, js-yaml or require
+ * @param {string} configPath - Absolute path to the config file
+ * @returns {string} Error message with a line and column where known
+ */
+function describeParseError(error, configPath) {
+  if (error.mark) {
+    // js-yaml errors carry the position of the problem
+    return `${error.reason} (line ${error.mark.line + 1}, column ${error.mark.column + 1})`;
+  }
+  const position = /at position (\d+)/.exec(error.message);
+  if (error instanceof SyntaxError && position && fs.existsSync(configPath)) {
+    const before = fs.readFileSync(configPath, 'utf8').slice(0, Number(position[1])).split('\n');
+    return `${error.message} (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+  }
+  return error.message;
+}
+
+/**
+ * Check that word-like rule keys name a category, since anything else is
+ * taken as an emoji and would silently match nothing
+ * @param {Object} userConfig - Parsed configuration
+ * @returns {Array<Object>} Problems in the same shape as validateSchema's
+ */
+function validateRuleKeys(userConfig) {
+  const sections = [['rules', userConfig.rules]];
+  if (Array.isArray(userConfig.overrides)) {
+    userConfig.overrides.forEach((override, index) => {
+      sections.push([`overrides[${index}].rules`, override?.rules]);
+    });
+  }
+
+  const problems = [];
+  for (const [sectionPath, rules] of sections) {
+    if (!rules || typeof rules !== 'object') {
+      continue;
+    }
+    for (const key of Object.keys(rules)) {
+      if (key !== 'default' && /^[a-z-]+$/i.test(key) && !directives.CATEGORIES[key.toLowerCase()]) {
+        const closest = findClosest(key, Object.keys(directives.CATEGORIES));
+        problems.push({
+          path: `${sectionPath}.${key}`,
+          message: 'unknown category',
+          suggestion: closest ? `did you mean "${closest}"?` : undefined
+        });
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Read, parse and validate a config file
+ * @param {string} configPath - Absolute path to the config file
+ * @returns {Object|undefined} Parsed user configuration
+ * @throws {ValidationError} When the file cannot be parsed or does not
+ *   match the config schema
+ */
+function readConfigFile(configPath) {
+  const displayPath = displayConfigPath(configPath);
+  let userConfig;
+  try {
+    userConfig = parseConfigFile(configPath);
+  } catch (error) {
+    const invalid = new ValidationError(`Invalid config file ${displayPath}: ${describeParseError(error, configPath)}`);
+    invalid.configPath = configPath;
+    throw invalid;
+  }
+
+  if (process.env.DEBUG_CONFIG || process.env.DEBUG_IGNORE) {
+    console.log('Loaded config from:', configPath);
+    console.log('Ignore patterns:', userConfig?.ignore?.files?.length || 0);
+  }
+  // An empty YAML file or a package.json without our key has no settings
+  if (userConfig === undefined || userConfig === null) {
+    return userConfig === null ? {} : undefined;
+  }
+
+  const problems = [...validateSchema(userConfig, CONFIG_SCHEMA), ...validateRuleKeys(userConfig)];
+  if (problems.length > 0) {
+    const error = new ValidationError(
+      `Invalid config file ${displayPath}:\n${problems.map(problem => `  - ${formatProblem(problem)}`).join('\n')}`
+    );
+    error.configPath = configPath;
+    error.problems = problems;
+    throw error;
+  }
+  return userConfig;
+}
+
+/**
+ * Show a config path relative to the working directory
+ * @param {string} configPath - Absolute path to a config file
+ * @returns {string} Path for messages
+ */
+function displayConfigPath(configPath) {
+  return path.relative(process.cwd(), configPath) || configPath;
+}
+
+/**
+ * Merge an extending config over the config it extends. Nested objects are
+ * merged and arrays are combined, so a preset's allowed emojis, ignore
+ * patterns and overrides are kept alongside the extending config's own.
+ * @param {Object} base - Extended configuration
+ * @param {Object} userConfig - Extending configuration
+ * @returns {Object} Merged configuration
+ */
+function extendConfig(base, userConfig) {
+  const merged = { ...base, ...userConfig };
+  for (const [key, value] of Object.entries(userConfig)) {
+    const baseValue = base[key];
+    if (Array.isArray(value) && Array.isArray(baseValue)) {
+      merged[key] = [...new Set([...baseValue, ...value])];
+    } else if (value && baseValue && typeof value === 'object' && typeof baseValue === 'object' &&
+        !Array.isArray(value) && !Array.isArray(baseValue)) {
+      merged[key] = extendConfig(baseValue, value);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Find the file an "extends" entry points to: a relative or absolute path,
+ * or a package installed in node_modules
+ * @param {string} name - Entry from "extends"
+ * @param {string} configPath - Config file doing the extending
+ * @returns {string} Absolute path of the extended config
+ * @throws {ValidationError} When the config cannot be found
+ */
+function resolveExtendsPath(name, configPath) {
+  const directory = path.dirname(configPath);
+  try {
+    if (path.isAbsolute(name) || name.startsWith('./') || name.startsWith('../')) {
+      const resolvedPath = path.resolve(directory, name);
+      if (!fs.existsSync(resolvedPath)) {
+        throw new Error('not found');
+      }
+      return resolvedPath;
+    }
+    return require.resolve(name, { paths: [directory] });
+  } catch (error) {
+    throw new ValidationError(`Cannot find config "${name}" extended by ${displayConfigPath(configPath)}`);
+  }
+}
+
+/**
+ * Load the configs a config extends and merge it over them
+ * @param {Object} userConfig - Parsed configuration
+ * @param {string} configPath - File the configuration came from
+ * @param {Array<string>} chain - Config files being extended, to detect cycles
+ * @returns {Object} Configuration with "extends" resolved
+ * @throws {ValidationError} On unknown presets, missing files or cycles
+ */
+function resolveExtends(userConfig, configPath, chain) {
+  const { extends: extendsValue, ...ownConfig } = userConfig;
+  if (extendsValue === undefined) {
+    return ownConfig;
+  }
+
+  let base = {};
+  for (const name of [].concat(extendsValue)) {
+    let extended;
+    if (name.startsWith(PRESET_PREFIX)) {
+      const presetName = name.slice(PRESET_PREFIX.length);
+      if (!PRESETS[presetName]) {
+        const closest = findClosest(presetName, Object.keys(PRESETS));
+        const suggestion = closest ? ` (did you mean "${PRESET_PREFIX}${closest}"?)` : '';
+        throw new ValidationError(`Unknown preset "${name}" in ${displayConfigPath(configPath)}${suggestion}`);
+      }
+      extended = resolveExtends(PRESETS[presetName], configPath, chain);
+    } else {
+      const extendedPath = resolveExtendsPath(name, configPath);
+      if (chain.includes(extendedPath)) {
+        const cycle = [...chain, extendedPath].map(displayConfigPath).join(' -> ');
+        throw new ValidationError(`Circular extends: ${cycle}`);
+      }
+      extended = loadConfigFile(extendedPath, chain) || {};
+    }
+    base = extendConfig(base, extended);
+  }
+
+  return extendConfig(base, ownConfig);
+}
+
+/**
+ * Read a config file and resolve everything it extends
+ * @param {string} configPath - Absolute path to the config file
+ * @param {Array<string>} [chain] - Config files extending this one
+ * @returns {Object|undefined} Configuration, or undefined for a
+ *   package.json without an emojiLinter key
+ */
+function loadConfigFile(configPath, chain = []) {
+  const userConfig = readConfigFile(configPath);
+  if (userConfig === undefined) {
+    return undefined;
+  }
+  return resolveExtends(userConfig, configPath, [...chain, configPath]);
+}
+
+/**
+ * Rewrite the lines of an ignore file so they apply from a parent
+ * directory, keeping git's rules: a pattern with a leading or inner slash
+ * is relative to its file's directory, any other pattern matches at any
+ * depth below it
+ * @param {string} text - Ignore file contents
+ * @param {string} prefix - Path from the parent to the file's directory
+ *   (empty when they are the same)
+ * @returns {Array<string>} Patterns for the parent directory
+ */
+function prefixIgnorePatterns(text, prefix) {
+  const lines = text.split(/\r?\n/);
+  if (!prefix) {
+    return lines;
+  }
+
+  const escapedPrefix = prefix.replace(/[*?[\]\\]/g, '\\$&');
+  return lines.map(line => {
+    if (!line.trim() || line.startsWith('#')) {
+      return line;
+    }
+    const negated = line.startsWith('!');
+    const pattern = negated ? line.slice(1) : line;
+    const anchored = pattern.replace(/\/+\s*$/, '').includes('/');
+    const relative = anchored ? pattern.replace(/^\//, '') : `**/${pattern}`;
+    return `${negated ? '!' : ''}${escapedPrefix}/${relative}`;
+  });
+}
+
+/**
+ * Rewrite the lines of an ignore file so they apply from one of its
+ * subdirectories: patterns that match at any depth are kept, anchored
+ * patterns keep what is left after the subdirectory path, and anchored
+ * patterns that cannot match inside the subdirectory are dropped
+ * @param {string} text - Ignore file contents
+ * @param {string} subdirectory - Path from the file's directory to the
+ *   subdirectory
+ * @returns {Array<string>} Patterns for the subdirectory
+ */
+function rebaseIgnorePatterns(text, subdirectory) {
+  const directories = subdirectory.split('/');
+  return text.split(/\r?\n/).flatMap(line => {
+    if (!line.trim() || line.startsWith('#')) {
+      return [line];
+    }
+    const negation = line.startsWith('!') ? '!' : '';
+    const pattern = line.slice(negation.length);
+    const directoryOnly = /\/\s*$/.test(pattern);
+    const trimmed = pattern.replace(/\/+\s*$/, '');
+    if (!trimmed.includes('/')) {
+      return [line];
+    }
+
+    const segments = trimmed.replace(/^\//, '').split('/');
+    for (const directory of directories) {
+      // An ancestor matched, or ** can stand for the rest of the path
+      if (segments.length === 0 || segments[0] === '**') {
+        break;
+      }
+      if (!minimatch(directory, segments[0], { dot: true })) {
+        return [];
+      }
+      segments.shift();
+    }
+    // A matched ancestor ignores everything in the subdirectory
+    if (segments.length === 0) {
+      return [`${negation}/*`];
+    }
+    return [`${negation}/${segments.join('/')}${directoryOnly ? '/' : ''}`];
+  });
+}
+
+/**
+ * Check whether a file matches any glob, relative to a config directory
+ * @param {Array<string>} patterns - Glob patterns
+ * @param {string} directory - Directory the patterns are relative to
+ * @param {string} absolutePath - Absolute file path
+ * @returns {boolean} True if a pattern matches
+ */
+function matchesGlobs(patterns, directory, absolutePath) {
+  const relativePath = path.relative(directory, absolutePath).replace(/\\/g, '/');
+  if (!relativePath || relativePath === '..' || relativePath.startsWith('../') ||
+      path.isAbsolute(relativePath)) {
+    return false;
+  }
+  // Patterns without a slash match the file name at any depth
+  return patterns.some(pattern => minimatch(relativePath, pattern, { dot: true, matchBase: true }));
+}
+
 /**
  * Configuration class for emoji-linter settings
+ *
+ * Without an explicit path, config files (see CONFIG_FILENAMES) are
+ * discovered by searching upward from the working directory (and, through
+ * forFile, from each scanned file).
+ * The search stops at a config with `root: true`, at the repository root
+ * (a directory containing .git) or at the filesystem root. Nested configs
+ * are merged over their parents, and each config's ignore patterns are
+ * matched relative to the directory that holds it.
  */
 class Config {
-  constructor(configPath) {
+  /**
+   * @param {string|false} [configPath] - Explicit config file, which disables
+   *   discovery, or false to use the defaults without any config file
+   * @param {Object} [resolved] - Pre-resolved settings (used by forFile)
+   * @param {Array<Object>} resolved.layers - Config layers, outermost first
+   * @param {Array<Object>} resolved.overrides - Overrides matching the file
+   * @param {boolean} resolved.cascade - Whether nested configs are discovered
+   */
+  constructor(configPath, resolved) {
     if (process.env.DEBUG_IGNORE || process.env.DEBUG_CONFIG) {
       console.log('=== Config Constructor ===');
       console.log('Config path passed to constructor:', configPath);
     }
-    this.config = this.loadConfig(configPath);
-    // Initialize the ignore instance with patterns
-    this.ig = ignore();
-    if (this.config.ignore?.files) {
-      if (process.env.DEBUG_IGNORE) {
-        console.log('Loading ignore patterns:', this.config.ignore.files);
-      }
-      this.ig.add(this.config.ignore.files);
+    this.cascade = resolved ? resolved.cascade : !configPath && configPath !== false;
+    this.layerCache = new Map();
+    this.directoryLayers = new Map();
+    this.fileConfigs = new Map();
+    // .gitignore, .emoji-linterignore and --ignore-path patterns, shared
+    // with the per-file configs from forFile
+    this.ignoreFiles = resolved ? resolved.ignoreFiles : {
+      ignorePath: null,
+      matchers: new Map(),
+      directories: new Map()
+    };
+    // --allow, --ignore-pattern and --rule settings, shared likewise
+    this.cliConfig = resolved ? resolved.cliConfig : {
+      directory: process.cwd(),
+      allow: [],
+      ignorePatterns: [],
+      rules: {}
+    };
+
+    if (resolved) {
+      this.layers = resolved.layers;
+    } else if (configPath === false) {
+      this.layers = [];
+    } else if (configPath) {
+      this.layers = this.loadLayers(configPath);
+    } else {
+      this.layers = this.findLayers(process.cwd());
     }
+    this.overrides = resolved ? resolved.overrides : [];
+    this.config = this.mergeLayers(this.layers, this.overrides);
+
+    this.ignoreRules = this.buildIgnoreRules(this.layers);
+    // Initialize the ignore instance with patterns
+    this.ig = this.ignoreRules[this.ignoreRules.length - 1].ig;
   }
 
   /**
-   * Load configuration from file
-   * @param {string} [configPath] - Path to config file
-   * @returns {Object} Configuration object
+   * Resolve a config path against the current working directory
+   * @param {string} configPath - Config file path
+   * @returns {string} Absolute config path
    */
-  loadConfig(configPath) {
-    // Always resolve config from current working directory
-    if (!configPath) {
-      configPath = '.emoji-linter.config.json';
-    }
-    
+  resolveConfigPath(configPath) {
     // Special handling for relative paths to avoid ncc bundling issues
-    let resolvedPath;
     if (path.isAbsolute(configPath)) {
-      resolvedPath = configPath;
-    } else {
-      // Use path.join instead of path.resolve to avoid ncc issues
-      resolvedPath = path.join(process.cwd(), configPath);
+      return configPath;
     }
+    // Use path.join instead of path.resolve to avoid ncc issues
+    return path.join(process.cwd(), configPath);
+  }
+
+  /**
+   * Load the layer for an explicit config file
+   * @param {string} configPath - Path to config file
+   * @returns {Array<Object>} The file's layer, or no layers if it is missing
+   */
+  loadLayers(configPath) {
+    const resolvedPath = this.resolveConfigPath(configPath);
 
     if (process.env.DEBUG_IGNORE || process.env.DEBUG_CONFIG) {
       console.log('=== Config Resolution Debug ===');
@@ -76,24 +537,343 @@ class Config {
       if (process.env.DEBUG_CONFIG || process.env.DEBUG_IGNORE) {
         console.log('Config file not found:', resolvedPath);
       }
-      return DEFAULT_CONFIG;
+      return [];
     }
-    
-    configPath = resolvedPath;
 
-    try {
-      const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      if (process.env.DEBUG_CONFIG || process.env.DEBUG_IGNORE) {
-        console.log('Loaded config from:', configPath);
-        console.log('Ignore patterns:', userConfig.ignore?.files?.length || 0);
+    return [this.createLayer(resolvedPath, loadConfigFile(resolvedPath) || {})];
+  }
+
+  /**
+   * Load configuration from file
+   * @param {string} [configPath] - Path to config file
+   * @returns {Object} Configuration object
+   */
+  loadConfig(configPath) {
+    // Always resolve config from current working directory
+    return this.mergeLayers(this.loadLayers(configPath || CONFIG_FILENAME));
+  }
+
+  /**
+   * Create a config layer for a config file
+   * @param {string} configPath - Absolute path to the config file
+   * @param {Object} userConfig - Parsed contents of the file
+   * @returns {Object} Layer with its file, directory and configuration
+   */
+  createLayer(configPath, userConfig) {
+    return {
+      path: configPath,
+      directory: path.dirname(configPath),
+      config: userConfig
+    };
+  }
+
+  /**
+   * Find the config file in a directory, trying CONFIG_FILENAMES in order
+   * @param {string} directory - Absolute directory path
+   * @returns {Object|null} Layer for the first config found, or null
+   */
+  findConfigLayer(directory) {
+    for (const filename of CONFIG_FILENAMES) {
+      const configPath = path.join(directory, filename);
+      if (!fs.existsSync(configPath)) {
+        continue;
+      }
+      if (!this.layerCache.has(configPath)) {
+        const userConfig = loadConfigFile(configPath);
+        // A package.json without an emojiLinter key is not a config
+        this.layerCache.set(configPath, userConfig === undefined
+          ? null
+          : this.createLayer(configPath, userConfig));
+      }
+      if (this.layerCache.get(configPath)) {
+        return this.layerCache.get(configPath);
       }
-      return {
-        ignore: { ...DEFAULT_CONFIG.ignore, ...userConfig.ignore },
-        output: { ...DEFAULT_CONFIG.output, ...userConfig.output }
+    }
+    return null;
+  }
+
+  /**
+   * Find the config layers that apply to a directory, outermost first
+   * @param {string} directory - Absolute directory path
+   * @returns {Array<Object>} Config layers
+   */
+  findLayers(directory) {
+    if (this.directoryLayers.has(directory)) {
+      return this.directoryLayers.get(directory);
+    }
+
+    let layers = [];
+    let isRoot = fs.existsSync(path.join(directory, '.git'));
+
+    const layer = this.findConfigLayer(directory);
+    if (layer) {
+      isRoot = isRoot || layer.config.root === true;
+      layers.push(layer);
+    }
+
+    const parent = path.dirname(directory);
+    if (!isRoot && parent !== directory) {
+      layers = [...this.findLayers(parent), ...layers];
+    }
+
+    this.directoryLayers.set(directory, layers);
+    return layers;
+  }
+
+  /**
+   * Merge config layers over the defaults, each followed by its own
+   * matching overrides, and finally the command line settings. A nested
+   * config therefore wins over the overrides of the configs above it.
+   * @param {Array<Object>} layers - Config layers, outermost first
+   * @param {Array<Object>} [overrides] - Overrides from findOverrides
+   * @returns {Object} Configuration object
+   */
+  mergeLayers(layers, overrides = []) {
+    const config = layers.reduce((merged, layer) => overrides
+      .filter(match => match.layer === layer)
+      .reduce((result, { override }) => mergeConfig(result, override), mergeConfig(merged, layer.config)),
+    DEFAULT_CONFIG);
+    const { allow, rules } = this.cliConfig;
+    return {
+      ...config,
+      ignore: { ...config.ignore, emojis: [...config.ignore.emojis, ...allow] },
+      rules: { ...config.rules, ...rules }
+    };
+  }
+
+  /**
+   * Find the overrides whose globs match a file. Overrides apply in order,
+   * outermost config first, so later entries win.
+   * @param {Array<Object>} layers - Config layers, outermost first
+   * @param {string} absolutePath - Absolute file path
+   * @returns {Array<Object>} Matching overrides, each with a cache key and
+   *   the layer that declares it
+   */
+  findOverrides(layers, absolutePath) {
+    const matched = [];
+    for (const layer of layers) {
+      (layer.config.overrides || []).forEach((override, index) => {
+        if (matchesGlobs(override.files, layer.directory, absolutePath) &&
+            !matchesGlobs(override.excludedFiles || [], layer.directory, absolutePath)) {
+          matched.push({ key: `${layer.path}#${index}`, layer, override });
+        }
+      });
+    }
+    return matched;
+  }
+
+  /**
+   * Build the ignore rules for a chain of config layers. The default
+   * patterns apply until a config declares its own ignore.files, and also
+   * to paths outside the project; from then on every declaring config adds
+   * patterns relative to its own directory.
+   * @param {Array<Object>} layers - Config layers, outermost first
+   * @returns {Array<Object>} Rules with a base directory and ignore instance
+   */
+  buildIgnoreRules(layers) {
+    const rules = [];
+    const declaring = layers.filter(layer => layer.config.ignore?.files);
+
+    if (declaring.length === 0) {
+      const directory = layers.length > 0 ? layers[0].directory : process.cwd();
+      rules.push({ directory, anywhere: true, ig: ignore().add(DEFAULT_CONFIG.ignore.files) });
+    }
+    for (const layer of declaring) {
+      if (process.env.DEBUG_IGNORE) {
+        console.log('Loading ignore patterns:', layer.config.ignore.files);
+      }
+      rules.push({ directory: layer.directory, ig: ignore().add(layer.config.ignore.files) });
+    }
+    if (this.cliConfig.ignorePatterns.length > 0) {
+      rules.push({ directory: this.cliConfig.directory, ig: ignore().add(this.cliConfig.ignorePatterns) });
+    }
+
+    return rules;
+  }
+
+  /**
+   * Get the ignore rules that apply to a path
+   * @param {string} absolutePath - Absolute file or directory path
+   * @returns {Array<Object>} Ignore rules
+   */
+  getIgnoreRules(absolutePath) {
+    if (!this.cascade) {
+      return this.ignoreRules;
+    }
+    return this.forFile(absolutePath).ignoreRules;
+  }
+
+  /**
+   * Get the configuration that applies to a file, merging every config
+   * found between the file's directory and the project root and the
+   * overrides that match the file
+   * @param {string} [filePath] - File being linted
+   * @returns {Config} Configuration for the file
+   */
+  forFile(filePath) {
+    if (!filePath) {
+      return this;
+    }
+
+    const absolutePath = path.resolve(filePath);
+    const layers = this.cascade ? this.findLayers(path.dirname(absolutePath)) : this.layers;
+    const overrides = this.findOverrides(layers, absolutePath);
+    const key = [...layers.map(layer => layer.path), ...overrides.map(override => override.key)]
+      .join(path.delimiter);
+    if (key === this.layers.map(layer => layer.path).join(path.delimiter)) {
+      return this;
+    }
+
+    if (!this.fileConfigs.has(key)) {
+      this.fileConfigs.set(key, new Config(null, {
+        layers,
+        overrides,
+        cascade: this.cascade,
+        ignoreFiles: this.ignoreFiles,
+        cliConfig: this.cliConfig
+      }));
+    }
+    return this.fileConfigs.get(key);
+  }
+
+  /**
+   * Add the patterns of an extra ignore file (--ignore-path). Its patterns
+   * are relative to the working directory and have the lowest precedence,
+   * like git's core.excludesFile.
+   * @param {string} ignorePath - Path to the ignore file
+   * @throws {FileError} When the file cannot be read
+   */
+  setIgnorePath(ignorePath) {
+    try {
+      this.ignoreFiles.ignorePath = {
+        directory: process.cwd(),
+        text: fs.readFileSync(ignorePath, 'utf8')
       };
     } catch (error) {
-      throw new Error(`Invalid config file: ${error.message}`);
+      throw new FileError(`Cannot read ignore file: ${ignorePath}`, ignorePath, error.code);
+    }
+    this.ignoreFiles.matchers.clear();
+  }
+
+  /**
+   * Apply settings given on the command line. They are added after every
+   * config file and override: allowed emojis extend ignore.emojis, rules
+   * replace rules with the same key, and ignore patterns are relative to
+   * the working directory.
+   * @param {Object} cliConfig - Command line settings
+   * @param {Array<string>} [cliConfig.allow] - Emojis, shortcodes or categories to allow
+   * @param {Array<string>} [cliConfig.ignorePatterns] - Globs for files to skip
+   * @param {Object} [cliConfig.rules] - Severity per emoji, shortcode or category
+   * @throws {ValidationError} When a rule has an unknown key or severity
+   */
+  setCliConfig({ allow = [], ignorePatterns = [], rules = {} }) {
+    const problems = [...validateSchema({ rules }, CONFIG_SCHEMA), ...validateRuleKeys({ rules })];
+    if (problems.length > 0) {
+      throw new ValidationError(
+        `Invalid --rule:\n${problems.map(problem => `  - ${formatProblem(problem)}`).join('\n')}`
+      );
     }
+
+    Object.assign(this.cliConfig, { directory: process.cwd(), allow, ignorePatterns, rules });
+    this.fileConfigs.clear();
+    this.config = this.mergeLayers(this.layers, this.overrides);
+    this.ignoreRules = this.buildIgnoreRules(this.layers);
+    this.ig = this.ignoreRules[this.ignoreRules.length - 1].ig;
+  }
+
+  /**
+   * List the directories whose ignore files apply to a directory, from the
+   * repository root (or filesystem root) down to the directory itself
+   * @param {string} directory - Absolute directory path
+   * @returns {Array<string>} Directories, outermost first
+   */
+  getIgnoreFileDirectories(directory) {
+    const cache = this.ignoreFiles.directories;
+    if (!cache.has(directory)) {
+      const parent = path.dirname(directory);
+      const isRoot = parent === directory || fs.existsSync(path.join(directory, '.git'));
+      cache.set(directory, isRoot ? [directory] : [...this.getIgnoreFileDirectories(parent), directory]);
+    }
+    return cache.get(directory);
+  }
+
+  /**
+   * Check a path against .gitignore, .emoji-linterignore and --ignore-path
+   * patterns with git's semantics. Every ignore file between the repository
+   * root and the path is loaded into one ignore instance, parents first, so
+   * deeper files and later lines take precedence and negations work.
+   * @param {string} absolutePath - Absolute file or directory path
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean} True if the path is ignored
+   */
+  isIgnoredByIgnoreFiles(absolutePath, isDirectory) {
+    const directories = this.getIgnoreFileDirectories(
+      isDirectory ? absolutePath : path.dirname(absolutePath)
+    );
+    const root = directories[0];
+    const toRelative = target => path.relative(root, target).replace(/\\/g, '/');
+
+    if (!this.ignoreFiles.matchers.has(root)) {
+      const matcher = { ig: ignore(), loaded: new Set() };
+      const { ignorePath } = this.ignoreFiles;
+      if (ignorePath) {
+        const prefix = toRelative(ignorePath.directory);
+        const subdirectory = path.relative(ignorePath.directory, root).replace(/\\/g, '/');
+        if (!prefix.startsWith('..') && !path.isAbsolute(prefix)) {
+          matcher.ig.add(prefixIgnorePatterns(ignorePath.text, prefix));
+        } else if (!subdirectory.startsWith('..') && !path.isAbsolute(subdirectory)) {
+          // The working directory is above the repository root
+          matcher.ig.add(rebaseIgnorePatterns(ignorePath.text, subdirectory));
+        }
+      }
+      this.ignoreFiles.matchers.set(root, matcher);
+    }
+
+    const matcher = this.ignoreFiles.matchers.get(root);
+    for (const directory of directories) {
+      if (matcher.loaded.has(directory)) {
+        continue;
+      }
+      matcher.loaded.add(directory);
+      for (const filename of IGNORE_FILENAMES) {
+        const ignoreFilePath = path.join(directory, filename);
+        if (fs.existsSync(ignoreFilePath)) {
+          if (process.env.DEBUG_IGNORE) {
+            console.log('Loading ignore file:', ignoreFilePath);
+          }
+          matcher.ig.add(prefixIgnorePatterns(fs.readFileSync(ignoreFilePath, 'utf8'), toRelative(directory)));
+        }
+      }
+    }
+
+    const relativePath = toRelative(absolutePath);
+    return Boolean(relativePath) && matcher.ig.ignores(isDirectory ? `${relativePath}/` : relativePath);
+  }
+
+  /**
+   * Check whether any ignore rule or ignore file matches a path
+   * @param {string} targetPath - File or directory path
+   * @param {boolean} [isDirectory] - Whether the path is a directory
+   * @returns {boolean} True if the path is ignored
+   */
+  isIgnored(targetPath, isDirectory = false) {
+    const absolutePath = path.resolve(targetPath);
+    const ignoredByConfig = this.getIgnoreRules(absolutePath).some(rule => {
+      let relativePath = path.relative(rule.directory, absolutePath).replace(/\\/g, '/');
+      if (!relativePath) {
+        return false;
+      }
+      if (relativePath === '..' || relativePath.startsWith('../') || path.isAbsolute(relativePath)) {
+        // Patterns never reach outside the directory of the config declaring
+        // them, but the defaults (node_modules and the like) apply anywhere
+        if (!rule.anywhere) {
+          return false;
+        }
+        relativePath = path.relative(path.parse(absolutePath).root, absolutePath).replace(/\\/g, '/');
+      }
+      return rule.ig.ignores(relativePath);
+    });
+    return ignoredByConfig || this.isIgnoredByIgnoreFiles(absolutePath, isDirectory);
   }
 
   /**
@@ -103,14 +883,8 @@ class Config {
    * @returns {boolean} True if file should be ignored
    */
   shouldIgnoreFile(filePath, content) {
-    // Normalize path: remove leading ./ and convert backslashes
-    let normalized = filePath.replace(/\\/g, '/');
-    if (normalized.startsWith('./')) {
-      normalized = normalized.slice(2);
-    }
-    
     // Use ignore package for gitignore-style matching
-    return this.ig.ignores(normalized);
+    return this.isIgnored(filePath);
   }
   
   /**
@@ -119,18 +893,12 @@ class Config {
    * @returns {boolean} True if directory should be skipped
    */
   shouldIgnoreDirectory(dirPath) {
-    // Normalize path
-    let normalized = dirPath.replace(/\\/g, '/');
-    if (normalized.startsWith('./')) {
-      normalized = normalized.slice(2);
-    }
-    
     if (process.env.DEBUG_IGNORE) {
-      console.log(`Checking directory: ${normalized}`);
+      console.log(`Checking directory: ${dirPath}`);
     }
     
     // Check if the directory itself should be ignored
-    if (this.ig.ignores(normalized)) {
+    if (this.isIgnored(dirPath, true)) {
       if (process.env.DEBUG_IGNORE) {
         console.log(`  → Directory ignored by exact match`);
       }
@@ -139,8 +907,8 @@ class Config {
     
     // Check if all files in this directory would be ignored
     // This handles patterns like "node_modules/**" 
-    const testFile = normalized + '/test.file';
-    const result = this.ig.ignores(testFile);
+    const testFile = path.join(dirPath, 'test.file');
+    const result = this.isIgnored(testFile);
     
     if (process.env.DEBUG_IGNORE) {
       console.log(`  → Test file ${testFile}: ${result ? 'ignored' : 'not ignored'}`);
@@ -150,24 +918,102 @@ class Config {
   }
 
   /**
-   * Check if emoji should be ignored
-   * @param {string} emoji - Emoji to check
+   * Get options for the emoji detector
+   * @returns {Object} Detection options for findEmojis/removeEmojis
+   */
+  getDetectionOptions() {
+    return { ...DEFAULT_CONFIG.detection, ...this.config.detection };
+  }
+
+  /**
+   * Get options for checking directive comments
+   * @returns {Object} Directive options for findDirectiveProblems
+   */
+  getDirectiveOptions() {
+    return { ...DEFAULT_CONFIG.directives, ...this.config.directives };
+  }
+
+  /**
+   * Get options for removing or replacing emojis in fix mode
+   * @returns {Object} Cleanup options for fixMatches
+   */
+  getCleanupOptions() {
+    return { ...DEFAULT_CONFIG.cleanup, ...this.config.cleanup };
+  }
+
+  /**
+   * Get the severity the rules give an emoji. A rule naming the emoji (or
+   * its shortcode) wins over a category rule, which wins over the default.
+   * @param {Object} match - Match from findEmojis
+   * @returns {string} 'error', 'warn' or 'off'
+   */
+  getRuleSeverity(match) {
+    const rules = { ...DEFAULT_CONFIG.rules, ...this.config.rules };
+    let categorySeverity = null;
+
+    for (const [key, severity] of Object.entries(rules)) {
+      if (key === 'default') {
+        continue;
+      }
+      const target = directives.parseTarget(key);
+      if (!directives.matchesTarget([target], match)) {
+        continue;
+      }
+      if (!target.category) {
+        return severity;
+      }
+      categorySeverity = severity;
+    }
+
+    return categorySeverity || rules.default;
+  }
+
+  /**
+   * Get the severity and emoji limit overrides set for this file
+   * @returns {Object} Severity ('error', 'warn' or 'off') and max (null
+   *   when unlimited)
+   */
+  getFileOptions() {
+    return this.overrides.reduce((options, { override }) => ({
+      severity: override.severity ?? options.severity,
+      max: override.max ?? options.max
+    }), { severity: 'error', max: null });
+  }
+
+  /**
+   * Check if emoji should be ignored. ignore.emojis entries (and --allow)
+   * are read like directive targets: emojis match with or without
+   * variation selectors, shortcodes match their emoji, and category names
+   * such as "flags" match every emoji in the category.
+   * @param {string|Object} emoji - Emoji or shortcode, or a match from findEmojis
+   * @param {string} [filePath] - File the emoji is in, for overrides and
+   *   nested configs
    * @returns {boolean} True if emoji should be ignored
    */
-  shouldIgnoreEmoji(emoji) {
-    const ignored = this.config.ignore?.emojis || [];
-    return ignored.includes(emoji);
+  shouldIgnoreEmoji(emoji, filePath) {
+    if (filePath) {
+      return this.forFile(filePath).shouldIgnoreEmoji(emoji);
+    }
+
+    const targets = (this.config.ignore?.emojis || []).map(directives.parseTarget);
+    if (targets.length === 0) {
+      return false;
+    }
+
+    const match = typeof emoji === 'string' ? { emoji: directives.parseTarget(emoji).emoji || emoji } : emoji;
+    const group = match.group || getEmojiMetadata(match.unicode || match.emoji).group;
+    return directives.matchesTarget(targets, { ...match, group });
   }
 
   /**
-   * Check if line should be ignored based on ignore comments
+   * Check if line should be ignored based on its own directive comment
+   * (disable-next-line directives apply to the following line instead)
    * @param {string} line - Line content
    * @returns {boolean} True if line should be ignored
    */
   shouldIgnoreLine(line) {
-    return line.includes('emoji-linter-ignore-line') || 
-           line.includes('emoji-linter-ignore-next-line');
+    return directives.shouldIgnoreLine(line);
   }
 }
 
-module.exports = { Config };
\ No newline at end of file
+module.exports = { Config, CONFIG_FILENAME, CONFIG_FILENAMES };
\ No newline at end of file
@@ -1,70 +1,368 @@
 /**
- * Emoji detector - finds and removes basic Unicode emojis
- * 
- * LIMITATIONS:
- * - Only detects emojis in specific Unicode ranges
- * - Does NOT support shortcodes (:rocket:)
- * - Limited support for sequences and modifiers
- * - Not Unicode 15.1 complete
+ * Emoji detector - finds and removes Unicode emoji sequences
+ *
+ * Matches full RGI-style sequences (ZWJ, skin tone modifier, flag, tag and
+ * keycap sequences) so each emoji is reported once with its complete text.
+ * GitHub/Slack-style shortcodes (:rocket:) and escaped emojis in source
+ * (\u{1F680}, \uD83D\uDE80, &#x1F680;) are detected when enabled via the
+ * `shortcodes` and `escapes` options.
  */
 
-// Basic Unicode emoji regex covering common emoji ranges
-const EMOJI_REGEX = /[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F700}-\u{1F77F}]|[\u{1F780}-\u{1F7FF}]|[\u{1F800}-\u{1F8FF}]|[\u{1F900}-\u{1F9FF}]|[\u{1FA00}-\u{1FA6F}]|[\u{1FA70}-\u{1FAFF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu;
+const SHORTCODES = require('../data/shortcodes.json');
+const { getEmojiMetadata } = require('./metadata');
+const { removeMatches } = require('./fixer');
+
+// Single code points in the common emoji blocks. Miscellaneous Symbols and
+// Dingbats (U+2600-U+27BF) also hold plain typographic symbols such as
+// ✓ and ★, so only characters with the Emoji property count there.
+const EMOJI_RANGES = '[\\u{1F600}-\\u{1F64F}]|[\\u{1F300}-\\u{1F5FF}]|[\\u{1F680}-\\u{1F6FF}]|[\\u{1F700}-\\u{1F77F}]|[\\u{1F780}-\\u{1F7FF}]|[\\u{1F800}-\\u{1F8FF}]|[\\u{1F900}-\\u{1F9FF}]|[\\u{1FA00}-\\u{1FA6F}]|[\\u{1FA70}-\\u{1FAFF}]|(?=\\p{Emoji})[\\u{2600}-\\u{27BF}]';
+
+// A pictograph: the ranges above, anything with default emoji presentation,
+// or any other pictographic character explicitly followed by VS16
+const PICTOGRAPH = `(?:${EMOJI_RANGES}|\\p{Emoji_Presentation}|\\p{Extended_Pictographic}(?=\\uFE0F))`;
+
+// One ZWJ sequence element, with its skin tone modifier or variation selector
+const ELEMENT = `${PICTOGRAPH}(?:\\p{Emoji_Modifier}|[\\uFE0E\\uFE0F])?`;
+
+// Flags: two regional indicators (🇺🇸)
+const FLAG_SEQUENCE = '\\p{Regional_Indicator}{2}';
+
+// Keycaps: digit, # or * with optional VS16 and the combining keycap (1️⃣)
+const KEYCAP_SEQUENCE = '[0-9#*]\\uFE0F?\\u20E3';
+
+// Subdivision flags: black flag, tag characters, cancel tag (🏴󠁧󠁢󠁥󠁮󠁧󠁿)
+const TAG_SEQUENCE = '\\u{1F3F4}[\\u{E0020}-\\u{E007E}]+\\u{E007F}';
+
+// ZWJ sequences, which also covers single emojis (👨‍👩‍👧‍👦, 👋🏽, ✨)
+const ZWJ_SEQUENCE = `${ELEMENT}(?:\\u200D${ELEMENT})*`;
+
+// Longest sequence types first so their components are never matched alone
+const EMOJI_REGEX = new RegExp(
+  [FLAG_SEQUENCE, KEYCAP_SEQUENCE, TAG_SEQUENCE, ZWJ_SEQUENCE].join('|'),
+  'gu'
+);
+
+// A lone character whose default presentation is text (♥, ☀, ✔)
+const TEXT_DEFAULT_REGEX = /^\P{Emoji_Presentation}$/u;
+
+/**
+ * Determine how an emoji renders by default
+ *
+ * Characters like ♥ render as text unless followed by VS16 (U+FE0F); VS15
+ * (U+FE0E) asks for text presentation explicitly.
+ *
+ * @param {string} emoji - Emoji text
+ * @returns {string} 'text' or 'emoji'
+ */
+function getPresentation(emoji) {
+  if (emoji.endsWith('\uFE0E') || TEXT_DEFAULT_REGEX.test(emoji)) {
+    return 'text';
+  }
+  return 'emoji';
+}
+
+// Candidate shortcodes; only names in the bundled table count as matches
+const SHORTCODE_REGEX = /:([a-z0-9_+-]+):/g;
+
+/**
+ * Find known shortcodes in a line of text
+ * @param {string} line - Line to search
+ * @returns {Array} Raw matches with text, index and the emoji they stand for
+ */
+function findShortcodes(line) {
+  const matches = [];
+  SHORTCODE_REGEX.lastIndex = 0;
+
+  let match;
+  while ((match = SHORTCODE_REGEX.exec(line)) !== null) {
+    const name = match[1];
+    if (Object.prototype.hasOwnProperty.call(SHORTCODES, name)) {
+      matches.push({ text: match[0], index: match.index, type: 'shortcode', unicode: SHORTCODES[name] });
+    } else {
+      // Let the closing colon start the next candidate (":note:rocket:")
+      SHORTCODE_REGEX.lastIndex = match.index + name.length + 1;
+    }
+  }
+
+  return matches;
+}
+
+// Source-level escapes of a single code point or UTF-16 unit:
+// JS/JSON \u{1F680} and \uD83D, Python \U0001F680, HTML &#x1F680; and
+// &#128640;, CSS \1F680 (plus the optional whitespace that ends it)
+const ESCAPE_REGEX = /\\u\{([0-9a-fA-F]{1,6})\}|\\U([0-9a-fA-F]{8})|\\u([0-9a-fA-F]{4})|&#[xX]([0-9a-fA-F]{1,6});|&#([0-9]{1,7});|\\([0-9a-fA-F]{1,6})[ \t]?/g;
+
+/**
+ * Decode one escape token
+ * @param {Array} match - ESCAPE_REGEX match
+ * @returns {string|null} Decoded text, or null for invalid code points
+ */
+function decodeEscape(match) {
+  const [, braced, python, utf16, hexEntity, decEntity, css] = match;
+
+  if (utf16) {
+    // A single UTF-16 unit, possibly half of a surrogate pair
+    return String.fromCharCode(parseInt(utf16, 16));
+  }
+
+  const codePoint = decEntity
+    ? parseInt(decEntity, 10)
+    : parseInt(braced || python || hexEntity || css, 16);
+  if (codePoint > 0x10FFFF) {
+    return null;
+  }
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Check whether the character at index is escaped by a preceding backslash
+ * @param {string} line - Line of text
+ * @param {number} index - Index of the character
+ * @returns {boolean} True if preceded by an odd number of backslashes
+ */
+function isEscapedAt(line, index) {
+  let count = 0;
+  while (index - count - 1 >= 0 && line[index - count - 1] === '\\') {
+    count++;
+  }
+  return count % 2 === 1;
+}
+
+/**
+ * Find emojis written as escape sequences in a line of text
+ *
+ * Adjacent escapes are decoded together so surrogate pairs and escaped
+ * ZWJ sequences are recognized as one emoji.
+ *
+ * @param {string} line - Line to search
+ * @returns {Array} Raw matches with the escaped text, index and decoded emoji
+ */
+function findEscapes(line) {
+  // Group adjacent escape tokens into runs
+  const runs = [];
+  ESCAPE_REGEX.lastIndex = 0;
+  for (const match of line.matchAll(ESCAPE_REGEX)) {
+    const decoded = decodeEscape(match);
+    // "\\u{1F680}" is an escaped backslash followed by plain text
+    if (decoded === null || (match[0][0] === '\\' && isEscapedAt(line, match.index))) {
+      continue;
+    }
+
+    const token = { start: match.index, end: match.index + match[0].length, decoded };
+    const run = runs[runs.length - 1];
+    if (run && run[run.length - 1].end === token.start) {
+      run.push(token);
+    } else {
+      runs.push([token]);
+    }
+  }
+
+  const matches = [];
+  for (const run of runs) {
+    // Map decoded offsets back to token boundaries
+    let decoded = '';
+    const starts = new Map();
+    const ends = new Map();
+    for (const token of run) {
+      starts.set(decoded.length, token.start);
+      decoded += token.decoded;
+      ends.set(decoded.length, token.end);
+    }
+
+    EMOJI_REGEX.lastIndex = 0;
+    for (const match of decoded.matchAll(EMOJI_REGEX)) {
+      const start = starts.get(match.index);
+      const end = ends.get(match.index + match[0].length);
+      if (start === undefined || end === undefined) {
+        continue;
+      }
+      matches.push({
+        text: line.slice(start, end),
+        index: start,
+        type: 'escaped',
+        unicode: match[0]
+      });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Find all raw matches in a single line, ordered by position
+ * @param {string} line - Line to search
+ * @param {Object} options - Detection options
+ * @returns {Array} Raw matches with text, index and type
+ */
+function findLineMatches(line, options) {
+  const matches = [];
+
+  // matchAll() starts from the shared regex's lastIndex, so reset it
+  EMOJI_REGEX.lastIndex = 0;
+  for (const match of line.matchAll(EMOJI_REGEX)) {
+    matches.push({ text: match[0], index: match.index, type: 'unicode' });
+  }
+
+  if (options.shortcodes) {
+    matches.push(...findShortcodes(line));
+  }
+
+  if (options.escapes) {
+    matches.push(...findEscapes(line));
+  }
+
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Count the Unicode code points in a string
+ * @param {string} str - String to measure
+ * @returns {number} Number of code points (surrogate pairs count once)
+ */
+function countCodePoints(str) {
+  let count = 0;
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    // Skip the low half of a surrogate pair
+    if (code >= 0xD800 && code <= 0xDBFF && i + 1 < str.length) {
+      const next = str.charCodeAt(i + 1);
+      if (next >= 0xDC00 && next <= 0xDFFF) {
+        i++;
+      }
+    }
+    count++;
+  }
+  return count;
+}
 
 /**
  * Find all emojis in text
+ *
+ * Each match carries 1-based start and end line/column numbers (columns in
+ * UTF-16 units, end exclusive) and absolute 0-based [start, end) offsets in
+ * UTF-16 units, code points and UTF-8 bytes.
+ *
+ * Unicode matches have `type: 'unicode'`. Shortcode and escaped matches
+ * have `type: 'shortcode'` or `type: 'escaped'`, the original source text as
+ * `emoji` and the emoji it stands for as `unicode`.
+ *
+ * Every match also carries `codePoints` (U+1F680), the CLDR `name`, `group`,
+ * `subgroup` and the `emojiVersion` that introduced it (see metadata.js), and
+ * its `presentation`: 'text' for default-text symbols like ♥ or anything
+ * followed by VS15, otherwise 'emoji'.
+ *
  * @param {string} text - Text to search
+ * @param {Object} [options] - Detection options
+ * @param {boolean} [options.shortcodes=false] - Also detect :shortcode: emojis
+ * @param {boolean} [options.escapes=false] - Also detect escaped emojis (\u{1F680}, &#x1F680;)
+ * @param {string} [options.textPresentation] - 'off' skips text-presentation matches
  * @returns {Array} Array of emoji matches with location info
  */
-function findEmojis(text) {
+function findEmojis(text, options = {}) {
   if (!text || typeof text !== 'string') {
     return [];
   }
 
   const matches = [];
   const lines = text.split('\n');
-  
+
+  // Absolute offsets of the start of the current line
+  let lineOffset = 0;
+  let lineCodePointOffset = 0;
+  let lineByteOffset = 0;
+
   lines.forEach((line, lineIndex) => {
-    const emojiMatches = line.match(EMOJI_REGEX);
-    if (emojiMatches) {
-      emojiMatches.forEach(emoji => {
-        matches.push({
-          emoji,
-          lineNumber: lineIndex + 1,
-          columnNumber: line.indexOf(emoji) + 1,
-          type: 'unicode'
-        });
-      });
+    // Offsets of the last measured position within the line
+    let cursor = 0;
+    let codePoints = 0;
+    let bytes = 0;
+
+    for (const match of findLineMatches(line, options)) {
+      const presentation = getPresentation(match.unicode || match.text);
+      if (presentation === 'text' && options.textPresentation === 'off') {
+        continue;
+      }
+
+      const emoji = match.text;
+      const start = match.index;
+      const end = start + emoji.length;
+      const before = line.slice(cursor, start);
+
+      codePoints += countCodePoints(before);
+      bytes += Buffer.byteLength(before, 'utf8');
+      const emojiCodePoints = countCodePoints(emoji);
+      const emojiBytes = Buffer.byteLength(emoji, 'utf8');
+
+      const result = {
+        emoji,
+        lineNumber: lineIndex + 1,
+        columnNumber: start + 1,
+        endLineNumber: lineIndex + 1,
+        endColumnNumber: end + 1,
+        offsets: {
+          utf16: [lineOffset + start, lineOffset + end],
+          codePoint: [lineCodePointOffset + codePoints, lineCodePointOffset + codePoints + emojiCodePoints],
+          byte: [lineByteOffset + bytes, lineByteOffset + bytes + emojiBytes]
+        },
+        type: match.type,
+        presentation
+      };
+      if (match.unicode) {
+        result.unicode = match.unicode;
+      }
+      Object.assign(result, getEmojiMetadata(match.unicode || emoji));
+      matches.push(result);
+
+      codePoints += emojiCodePoints;
+      bytes += emojiBytes;
+      cursor = end;
     }
+
+    // Advance past the rest of the line and its newline
+    const rest = line.slice(cursor);
+    lineOffset += line.length + 1;
+    lineCodePointOffset += codePoints + countCodePoints(rest) + 1;
+    lineByteOffset += bytes + Buffer.byteLength(rest, 'utf8') + 1;
   });
-  
+
   return matches;
 }
 
 /**
  * Remove all emojis from text
  * @param {string} text - Text to clean
+ * @param {Object} [options] - Detection options (see findEmojis)
+ * @param {boolean} [options.preserveWhitespace=true] - Set to false to tidy
+ *   the spaces around removed emojis (see fixer.js)
  * @returns {string} Text with emojis removed
  */
-function removeEmojis(text) {
+function removeEmojis(text, options = {}) {
   if (!text || typeof text !== 'string') {
     return text;
   }
-  return text.replace(EMOJI_REGEX, '');
+  return removeMatches(text, findEmojis(text, options), options);
 }
 
 /**
  * Check if text contains any emojis
  * @param {string} text - Text to check
+ * @param {Object} [options] - Detection options (see findEmojis)
  * @returns {boolean} True if emojis found
  */
-function hasEmojis(text) {
+function hasEmojis(text, options = {}) {
   if (!text || typeof text !== 'string') {
     return false;
   }
+  if (options.textPresentation === 'off') {
+    return findEmojis(text, options).length > 0;
+  }
   // Need to reset the regex because test() modifies lastIndex with 'g' flag
   EMOJI_REGEX.lastIndex = 0;
-  return EMOJI_REGEX.test(text);
+  if (EMOJI_REGEX.test(text)) {
+    return true;
+  }
+  return (Boolean(options.shortcodes) && findShortcodes(text).length > 0) ||
+    (Boolean(options.escapes) && findEscapes(text).length > 0);
 }
 
 // Export functions
@@ -72,5 +370,7 @@ module.exports = {
   findEmojis,
   removeEmojis,
   hasEmojis,
-  EMOJI_REGEX
+  getPresentation,
+  EMOJI_REGEX,
+  SHORTCODES
 };
\ No newline at end of file
@@ -0,0 +1,310 @@
+/**
+ * Fixer - removes or replaces emojis in text at exact match positions
+ */
+
+const { getShortcode, VARIATION_SELECTORS } = require('./metadata');
+const { getLanguage } = require('./languages');
+const { findEscapeRanges, isInRanges } = require('./literals');
+
+const STRATEGIES = ['remove', 'shortcode', 'name', 'escape'];
+
+// Characters that open or close a run of text, e.g. quotes and brackets
+const OPENING_CHARS = new Set(['"', '\'', '`', '(', '[', '{']);
+const CLOSING_CHARS = new Set(['"', '\'', '`', ')', ']', '}', '.', ',', ';', ':', '!', '?']);
+
+// Markdown emphasis delimiters (*, **, _, __, ~~) that open a run after the
+// line start, a space or an opening character, or close one before the line
+// end, a space or a closing character
+const OPENING_DELIMITER = /(?:^|[\s"'`([{])(?:\*{1,3}|_{1,3}|~~)$/;
+const CLOSING_DELIMITER = /^(?:\*{1,3}|_{1,3}|~~)(?:$|[\s"'`)\]}.,;:!?])/;
+
+/**
+ * Check if a string is empty or only spaces and tabs
+ * @param {string} str - String to check
+ * @returns {boolean} True if blank
+ */
+function isBlank(str) {
+  return /^[ \t]*$/.test(str);
+}
+
+/**
+ * Find the escape syntax for a file, used by the 'escape' strategy
+ * - js: \u{1F680}
+ * - utf16: \uD83D\uDE80 (surrogate pairs)
+ * - python: \u2705 and \U0001F680
+ * - html: &#x1F680;
+ * - css: \1F680
+ * @param {string} filePath - File path
+ * @returns {string|null} Escape syntax name, or null if the file type has none
+ */
+function getEscapeSyntax(filePath) {
+  return getLanguage(filePath)?.escapes || null;
+}
+
+/**
+ * Format a code point as uppercase hex
+ * @param {number} codePoint - Code point
+ * @param {number} [width=0] - Minimum number of digits
+ * @returns {string} Hex digits
+ */
+function hex(codePoint, width = 0) {
+  return codePoint.toString(16).toUpperCase().padStart(width, '0');
+}
+
+/**
+ * Write an emoji as a source-level escape
+ * @param {string} emoji - Emoji text
+ * @param {string} syntax - Escape syntax from getEscapeSyntax
+ * @param {string} [nextChar=''] - Character following the emoji in the source
+ * @returns {string} Escaped emoji
+ */
+function escapeEmoji(emoji, syntax, nextChar = '') {
+  const codePoints = [...emoji].map(char => char.codePointAt(0));
+
+  switch (syntax) {
+  case 'js':
+    return codePoints.map(cp => `\\u{${hex(cp)}}`).join('');
+  case 'utf16':
+    return emoji.split('').map(unit => `\\u${hex(unit.charCodeAt(0), 4)}`).join('');
+  case 'python':
+    return codePoints.map(cp => (cp > 0xFFFF ? `\\U${hex(cp, 8)}` : `\\u${hex(cp, 4)}`)).join('');
+  case 'html':
+    return codePoints.map(cp => `&#x${hex(cp)};`).join('');
+  case 'css': {
+    // A CSS escape swallows one following space and runs on into hex digits
+    const escaped = codePoints.map(cp => `\\${hex(cp)}`).join('');
+    return /^[0-9a-fA-F \t]/.test(nextChar) ? `${escaped} ` : escaped;
+  }
+  default:
+    return emoji;
+  }
+}
+
+/**
+ * Work out the text that replaces a match
+ *
+ * A `replacements` entry for the emoji wins; otherwise the strategy decides:
+ * 'shortcode' (:warning:), 'name' ([warning]), 'escape' (\u{26A0}\u{FE0F})
+ * or 'remove'. Emojis without a shortcode fall back to their name, and
+ * unnamed emojis are removed. The escape strategy leaves matches that are
+ * already escaped, matches where the file would not read an escape back as
+ * the emoji (comments, raw strings, JSX text), and files with no escape
+ * syntax unchanged.
+ *
+ * @param {Object} match - Match from findEmojis
+ * @param {Map} replacements - Replacement table keyed without variation selectors
+ * @param {string} strategy - Strategy for emojis not in the table
+ * @param {Object} [context] - Where the match sits
+ * @param {string|null} [context.syntax] - Escape syntax of the file
+ * @param {string} [context.nextChar] - Character following the match
+ * @param {boolean} [context.escapable=true] - Whether the file processes
+ *   escapes where the match sits
+ * @returns {string} Replacement text ('' to remove)
+ */
+function getReplacement(match, replacements, strategy, context = {}) {
+  // Problems such as unused directives say how they are fixed
+  if (match.replacement !== undefined) {
+    return match.replacement;
+  }
+
+  const emoji = match.unicode || match.emoji;
+
+  for (const key of [match.emoji, emoji]) {
+    const replacement = replacements.get(key.replace(VARIATION_SELECTORS, ''));
+    if (replacement !== undefined) {
+      return replacement;
+    }
+  }
+
+  if (strategy === 'escape') {
+    if (match.type === 'escaped' || !context.syntax || context.escapable === false) {
+      return match.emoji;
+    }
+    return escapeEmoji(emoji, context.syntax, context.nextChar);
+  }
+
+  if (strategy === 'shortcode') {
+    const shortcode = getShortcode(emoji);
+    if (shortcode) {
+      return `:${shortcode}:`;
+    }
+  }
+
+  if ((strategy === 'shortcode' || strategy === 'name') && match.name) {
+    return `[${match.name}]`;
+  }
+
+  return '';
+}
+
+/**
+ * Apply edits to a single line, tidying the spaces around each removal
+ *
+ * - "a 🚀 b" becomes "a b" (adjacent spaces collapse)
+ * - "🚀 Start" and "\"🚀 Start\"" lose the separator after the emoji
+ * - "Done 🚀" and "(Done 🚀)" lose the separator before the emoji
+ * - "- ✅ Done" and "# 🎉 Release" keep their list and heading markers
+ * - "**🚀 Bold**" and "_Done ✅_" keep their emphasis closed up
+ *
+ * @param {string} line - Line without its line ending
+ * @param {Array} edits - Sorted { start, end, replacement } column edits
+ * @returns {string} Edited line
+ */
+function editLine(line, edits) {
+  let output = '';
+  let cursor = 0;
+
+  for (const { start, end, replacement } of edits) {
+    output += line.slice(cursor, start) + replacement;
+    cursor = end;
+
+    if (replacement) {
+      continue;
+    }
+
+    const after = line.slice(cursor);
+    const spacesAfter = after.length - after.replace(/^[ \t]+/, '').length;
+    const lastChar = output[output.length - 1];
+
+    if (spacesAfter > 0 && (isBlank(output) || lastChar === ' ' || lastChar === '\t' ||
+        OPENING_CHARS.has(lastChar) || OPENING_DELIMITER.test(output))) {
+      // Drop the separator that followed the emoji
+      cursor += spacesAfter;
+    } else if ((after === '' || CLOSING_CHARS.has(after[0]) || CLOSING_DELIMITER.test(after)) && !isBlank(output)) {
+      // Drop the separator that preceded the emoji
+      output = output.replace(/[ \t]+$/, '');
+    }
+  }
+
+  return output + line.slice(cursor);
+}
+
+/**
+ * Work out the replacement for each match, leaving out matches the
+ * strategy keeps as they are (such as escapes in files without an escape
+ * syntax)
+ * @param {string} text - Original text
+ * @param {Array} matches - Matches from findEmojis (any subset, any order)
+ * @param {Object} [options] - Fix options (see fixMatches)
+ * @returns {Array<Object>} { match, replacement } edits in text order
+ */
+function getEdits(text, matches, options = {}) {
+  const strategy = options.strategy || 'remove';
+  const syntax = getEscapeSyntax(options.filePath);
+  const replacements = new Map(
+    Object.entries(options.replacements || {})
+      .map(([emoji, replacement]) => [emoji.replace(VARIATION_SELECTORS, ''), replacement])
+  );
+
+  const escapeRanges = strategy === 'escape' && syntax ? findEscapeRanges(text, options.filePath) : null;
+
+  return [...matches]
+    .sort((a, b) => a.offsets.utf16[0] - b.offsets.utf16[0])
+    .map(match => ({
+      match,
+      replacement: getReplacement(match, replacements, strategy, {
+        syntax,
+        nextChar: text.charAt(match.offsets.utf16[1]),
+        escapable: !escapeRanges || isInRanges(escapeRanges, match.offsets.utf16[0])
+      })
+    }))
+    .filter(({ match, replacement }) => replacement !== text.slice(match.offsets.utf16[0], match.offsets.utf16[1]));
+}
+
+/**
+ * Remove or replace emoji matches in text
+ * @param {string} text - Original text
+ * @param {Array} matches - Matches from findEmojis (any subset, any order)
+ * @param {Object} [options] - Fix options
+ * @param {string} [options.strategy='remove'] - 'remove', 'shortcode', 'name' or 'escape'
+ * @param {Object} [options.replacements] - Map of emoji to replacement text
+ * @param {string} [options.filePath] - File being fixed; picks the escape syntax
+ * @param {boolean} [options.preserveWhitespace=true] - Delete only the
+ *   matched characters; when false, tidy spaces around removed emojis and
+ *   drop lines that only contained emojis
+ * @returns {string} Fixed text
+ */
+function fixMatches(text, matches, options = {}) {
+  if (!text || typeof text !== 'string' || matches.length === 0) {
+    return text;
+  }
+
+  const edits = getEdits(text, matches, options);
+
+  if (options.preserveWhitespace !== false) {
+    let result = '';
+    let cursor = 0;
+    for (const { match, replacement } of edits) {
+      const [start, end] = match.offsets.utf16;
+      result += text.slice(cursor, start) + replacement;
+      cursor = end;
+    }
+    return result + text.slice(cursor);
+  }
+
+  const lines = text.split('\n');
+
+  // Group column edits by line, cutting matches that span lines (such as
+  // whole directive comments) into one edit per line
+  const editsByLine = new Map();
+  for (const { match, replacement } of edits) {
+    const endLineNumber = match.endLineNumber || match.lineNumber;
+    for (let lineNumber = match.lineNumber; lineNumber <= endLineNumber; lineNumber++) {
+      const lineEdits = editsByLine.get(lineNumber) || [];
+      lineEdits.push({
+        start: lineNumber === match.lineNumber ? match.columnNumber - 1 : 0,
+        end: lineNumber === endLineNumber ? match.endColumnNumber - 1 : lines[lineNumber - 1].replace(/\r$/, '').length,
+        replacement: lineNumber === match.lineNumber ? replacement : ''
+      });
+      editsByLine.set(lineNumber, lineEdits);
+    }
+  }
+
+  const output = [];
+
+  lines.forEach((rawLine, index) => {
+    const lineEdits = editsByLine.get(index + 1);
+    if (!lineEdits) {
+      output.push(rawLine);
+      return;
+    }
+
+    const lineEnding = rawLine.endsWith('\r') ? '\r' : '';
+    const line = lineEnding ? rawLine.slice(0, -1) : rawLine;
+    let edited = editLine(line, lineEdits);
+
+    // Drop lines that only held emojis
+    if (isBlank(edited)) {
+      return;
+    }
+
+    // Don't leave trailing spaces the original line didn't have
+    if (line === line.replace(/[ \t]+$/, '')) {
+      edited = edited.replace(/[ \t]+$/, '');
+    }
+    output.push(edited + lineEnding);
+  });
+
+  return output.join('\n');
+}
+
+/**
+ * Remove emoji matches from text
+ * @param {string} text - Original text
+ * @param {Array} matches - Matches from findEmojis (any subset, any order)
+ * @param {Object} [options] - Cleanup options (see fixMatches)
+ * @returns {string} Text with the matches removed
+ */
+function removeMatches(text, matches, options = {}) {
+  return fixMatches(text, matches, { ...options, strategy: 'remove', replacements: {} });
+}
+
+module.exports = {
+  fixMatches,
+  removeMatches,
+  getEdits,
+  getReplacement,
+  getEscapeSyntax,
+  escapeEmoji,
+  STRATEGIES
+};
@@ -0,0 +1,209 @@
+/**
+ * Init - inspects a project and suggests a starting config for it
+ */
+
+const path = require('path');
+const { findEmojis } = require('./detector');
+
+// Directory names that hold documentation, translations or build output
+const DOCS_DIRECTORIES = ['docs', 'doc', 'documentation', 'wiki'];
+const LOCALE_DIRECTORIES = ['locales', 'locale', 'i18n', 'lang', 'translations'];
+const GENERATED_DIRECTORIES = ['out', 'generated', 'vendor', 'target', '.next', '.nuxt', '.cache'];
+
+// Extensions of documentation files outside docs directories
+const DOCS_EXTENSIONS = ['.md', '.mdx', '.rst'];
+
+/**
+ * Find the first path segment of a file that names a known directory
+ * @param {Array<string>} segments - Directory segments of a relative path
+ * @param {Array<string>} names - Directory names to look for
+ * @returns {string|null} Directory path up to and including the match
+ */
+function findDirectory(segments, names) {
+  const index = segments.findIndex(segment => names.includes(segment.toLowerCase()));
+  return index === -1 ? null : segments.slice(0, index + 1).join('/');
+}
+
+/**
+ * Count emojis into a map
+ * @param {Map<string, number>} counts - Counts so far
+ * @param {Array<Object>} emojis - Matches from findEmojis
+ */
+function countEmojis(counts, emojis) {
+  for (const { emoji } of emojis) {
+    counts.set(emoji, (counts.get(emoji) || 0) + 1);
+  }
+}
+
+/**
+ * List counted emojis, most used first
+ * @param {Map<string, number>} counts - Emoji counts
+ * @returns {Array<string>} Emojis
+ */
+function sortByCount(counts) {
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([emoji]) => emoji);
+}
+
+/**
+ * Scan a project for docs, locale files, generated directories and the
+ * emojis each of them currently uses
+ * @param {string} directory - Project directory
+ * @param {FileScanner} scanner - Scanner whose config decides what to skip
+ * @param {Object} [detectionOptions] - Options for findEmojis
+ * @returns {Promise<Object>} Analysis with docs, locales, generated and
+ *   code sections, each listing directories and emojis
+ */
+async function analyzeProject(directory, scanner, detectionOptions = {}) {
+  const sections = {
+    docs: { directories: new Set(), extensions: new Set(), counts: new Map() },
+    locales: { directories: new Set(), counts: new Map() },
+    generated: { directories: new Set(), counts: new Map() },
+    code: { counts: new Map() }
+  };
+  let totalFiles = 0;
+
+  const files = [];
+  for await (const { filePath } of scanner.scanDirectory(directory)) {
+    files.push(filePath);
+  }
+
+  for await (const scanResult of scanner.scanFiles(files)) {
+    if (scanResult.error) {
+      continue;
+    }
+    totalFiles++;
+
+    const relativePath = path.relative(directory, scanResult.filePath).replace(/\\/g, '/');
+    const segments = relativePath.split('/').slice(0, -1);
+    const extension = path.extname(relativePath).toLowerCase();
+    const emojis = findEmojis(scanResult.content, detectionOptions);
+
+    const generated = findDirectory(segments, GENERATED_DIRECTORIES);
+    const locale = findDirectory(segments, LOCALE_DIRECTORIES);
+    const docs = findDirectory(segments, DOCS_DIRECTORIES);
+
+    if (generated) {
+      sections.generated.directories.add(generated);
+      countEmojis(sections.generated.counts, emojis);
+    } else if (locale) {
+      sections.locales.directories.add(locale);
+      countEmojis(sections.locales.counts, emojis);
+    } else if (docs) {
+      sections.docs.directories.add(docs);
+      countEmojis(sections.docs.counts, emojis);
+    } else if (DOCS_EXTENSIONS.includes(extension)) {
+      sections.docs.extensions.add(extension);
+      countEmojis(sections.docs.counts, emojis);
+    } else {
+      countEmojis(sections.code.counts, emojis);
+    }
+  }
+
+  return {
+    totalFiles,
+    docs: {
+      directories: [...sections.docs.directories].sort(),
+      extensions: [...sections.docs.extensions].sort(),
+      emojis: sortByCount(sections.docs.counts)
+    },
+    locales: {
+      directories: [...sections.locales.directories].sort(),
+      emojis: sortByCount(sections.locales.counts)
+    },
+    generated: {
+      directories: [...sections.generated.directories].sort(),
+      emojis: sortByCount(sections.generated.counts)
+    },
+    code: {
+      emojis: sortByCount(sections.code.counts)
+    }
+  };
+}
+
+/**
+ * Get the glob patterns for the docs found in a project
+ * @param {Object} docs - Docs section of an analysis
+ * @returns {Array<string>} Glob patterns
+ */
+function getDocsFiles(docs) {
+  return [
+    ...docs.directories.map(directory => `${directory}/**`),
+    ...docs.extensions.map(extension => `*${extension}`)
+  ];
+}
+
+/**
+ * List the changes init can make to the default config for a project.
+ * Each suggestion has an id for buildConfig and a description to show.
+ * @param {Object} analysis - Result of analyzeProject
+ * @returns {Array<Object>} Suggestions
+ */
+function getSuggestions(analysis) {
+  const suggestions = [];
+
+  if (analysis.generated.directories.length > 0) {
+    suggestions.push({
+      id: 'generated',
+      description: `Skip generated directories: ${analysis.generated.directories.map(directory => `${directory}/`).join(', ')}`
+    });
+  }
+  if (analysis.docs.emojis.length > 0) {
+    suggestions.push({
+      id: 'docs',
+      description: `Allow the ${analysis.docs.emojis.length} emojis already used in docs (${getDocsFiles(analysis.docs).join(', ')}): ${analysis.docs.emojis.join(' ')}`
+    });
+  }
+  if (analysis.locales.directories.length > 0) {
+    suggestions.push({
+      id: 'locales',
+      description: `Stop reporting emojis in locale files: ${analysis.locales.directories.map(directory => `${directory}/`).join(', ')}`
+    });
+  }
+
+  return suggestions;
+}
+
+/**
+ * Build a config from the accepted suggestions
+ * @param {Object} analysis - Result of analyzeProject
+ * @param {Array<string>} accepted - Ids of the accepted suggestions
+ * @param {Array<string>} defaultIgnoreFiles - Default ignore.files patterns,
+ *   kept because setting ignore.files replaces them
+ * @returns {Object} Configuration to write
+ */
+function buildConfig(analysis, accepted, defaultIgnoreFiles) {
+  const config = {};
+  const overrides = [];
+
+  if (accepted.includes('generated')) {
+    config.ignore = {
+      files: [
+        ...defaultIgnoreFiles,
+        ...analysis.generated.directories.map(directory => `${directory}/**`)
+      ]
+    };
+  }
+  if (accepted.includes('docs')) {
+    overrides.push({
+      files: getDocsFiles(analysis.docs),
+      ignore: { emojis: analysis.docs.emojis }
+    });
+  }
+  if (accepted.includes('locales')) {
+    overrides.push({
+      files: analysis.locales.directories.map(directory => `${directory}/**`),
+      severity: 'off'
+    });
+  }
+
+  if (overrides.length > 0) {
+    config.overrides = overrides;
+  }
+  return config;
+}
+
+module.exports = {
+  analyzeProject,
+  getSuggestions,
+  buildConfig
+};
@@ -0,0 +1,137 @@
+/**
+ * Languages - the file types emoji-linter knows and how each one is read
+ *
+ * Every language names the syntax each part of the linter uses for it:
+ * - comments: where directives may be written (LANGUAGE_SYNTAX in utils/ignore.js)
+ * - code: how string literals and raw text are found (CODE_SYNTAX and
+ *   RAW_PATTERNS in literals.js)
+ * - escapes: how the escape fix strategy writes an emoji (escapeEmoji in fixer.js)
+ *
+ * A language without code or escapes is never rewritten by the escape
+ * strategy.
+ */
+
+const path = require('path');
+
+const LANGUAGES = {
+  javascript: { comments: 'js', code: 'jsx', escapes: 'js' },
+  typescript: { comments: 'js', code: 'js', escapes: 'js' },
+  java: { comments: 'c', code: 'java', escapes: 'utf16' },
+  c: { comments: 'c' },
+  csharp: { comments: 'c', code: 'csharp', escapes: 'python' },
+  go: { comments: 'c', code: 'go', escapes: 'python' },
+  rust: { comments: 'c', code: 'rust', escapes: 'js' },
+  swift: { comments: 'c', code: 'swift', escapes: 'js' },
+  kotlin: { comments: 'c', code: 'kotlin', escapes: 'utf16' },
+  scala: { comments: 'c' },
+  dart: { comments: 'c' },
+  json: { comments: 'c', code: 'json', escapes: 'utf16' },
+  jsonc: { comments: 'c' },
+  scss: { comments: 'c', code: 'scss', escapes: 'css' },
+  css: { comments: 'css', code: 'css', escapes: 'css' },
+  php: { comments: 'php' },
+  python: { comments: 'python', code: 'python', escapes: 'python' },
+  ruby: { comments: 'hash', code: 'ruby', escapes: 'js' },
+  shell: { comments: 'hash' },
+  perl: { comments: 'hash' },
+  r: { comments: 'hash' },
+  yaml: { comments: 'hash' },
+  toml: { comments: 'hash' },
+  properties: { comments: 'hash' },
+  coffeescript: { comments: 'hash' },
+  terraform: { comments: 'hash' },
+  powershell: { comments: 'powershell' },
+  html: { comments: 'markup', code: 'html', escapes: 'html' },
+  xml: { comments: 'markup', code: 'html', escapes: 'html' },
+  markdown: { comments: 'markup', code: 'markdown', escapes: 'html' },
+  vue: { comments: 'component', code: 'vue', escapes: 'html' },
+  svelte: { comments: 'component', code: 'svelte', escapes: 'html' },
+  astro: { comments: 'component' },
+  sql: { comments: 'sql' },
+  lua: { comments: 'lua' },
+  haskell: { comments: 'haskell' },
+  lisp: { comments: 'lisp' },
+  ini: { comments: 'ini' },
+  assembly: { comments: 'assembly' },
+  tex: { comments: 'tex' },
+  erlang: { comments: 'erlang' },
+  fortran: { comments: 'fortran' },
+  batch: { comments: 'batch' },
+  visualBasic: { comments: 'visualBasic' },
+  jinja: { comments: 'jinja' },
+  handlebars: { comments: 'handlebars' }
+};
+
+/**
+ * Language of each file extension
+ */
+const EXTENSION_LANGUAGES = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.tsx': 'javascript', '.ts': 'typescript',
+  '.java': 'java', '.c': 'c', '.h': 'c', '.cpp': 'c', '.hpp': 'c', '.cs': 'csharp',
+  '.go': 'go', '.rs': 'rust', '.swift': 'swift', '.kt': 'kotlin', '.scala': 'scala',
+  '.dart': 'dart', '.json': 'json', '.jsonc': 'jsonc',
+  '.scss': 'scss', '.less': 'scss', '.sass': 'scss', '.css': 'css',
+  '.php': 'php',
+  '.py': 'python', '.pyi': 'python',
+  '.rb': 'ruby', '.sh': 'shell', '.bash': 'shell', '.zsh': 'shell', '.fish': 'shell',
+  '.pl': 'perl', '.pm': 'perl', '.r': 'r', '.yml': 'yaml', '.yaml': 'yaml',
+  '.toml': 'toml', '.cfg': 'properties', '.conf': 'properties',
+  '.properties': 'properties', '.env': 'properties', '.coffee': 'coffeescript',
+  '.tf': 'terraform',
+  '.ps1': 'powershell',
+  '.html': 'html', '.htm': 'html', '.xml': 'xml', '.xsl': 'xml', '.xslt': 'xml',
+  '.svg': 'xml', '.md': 'markdown', '.markdown': 'markdown',
+  '.vue': 'vue', '.svelte': 'svelte', '.astro': 'astro',
+  '.sql': 'sql',
+  '.lua': 'lua',
+  '.hs': 'haskell', '.elm': 'haskell',
+  '.lisp': 'lisp', '.lsp': 'lisp', '.el': 'lisp', '.clj': 'lisp', '.cljs': 'lisp',
+  '.scm': 'lisp', '.rkt': 'lisp',
+  '.ini': 'ini',
+  '.asm': 'assembly', '.s': 'assembly',
+  '.tex': 'tex', '.sty': 'tex', '.cls': 'tex',
+  '.erl': 'erlang', '.hrl': 'erlang',
+  '.f90': 'fortran', '.f95': 'fortran',
+  '.bat': 'batch', '.cmd': 'batch',
+  '.vb': 'visualBasic', '.vbs': 'visualBasic', '.bas': 'visualBasic',
+  '.j2': 'jinja', '.jinja': 'jinja', '.jinja2': 'jinja', '.njk': 'jinja',
+  '.hbs': 'handlebars', '.handlebars': 'handlebars', '.mustache': 'handlebars'
+};
+
+/**
+ * Languages of well-known files without an extension
+ */
+const FILENAME_LANGUAGES = {
+  'Dockerfile': 'shell',
+  'Makefile': 'shell',
+  'Gemfile': 'ruby',
+  'Rakefile': 'ruby',
+  '.gitignore': 'properties',
+  '.dockerignore': 'properties',
+  '.npmignore': 'properties',
+  '.editorconfig': 'ini'
+};
+
+/**
+ * Find the language of a file from its name or extension
+ * @param {string} [filePath] - File path
+ * @returns {Object|null} Language from LANGUAGES, or null when unknown
+ */
+function getLanguage(filePath) {
+  if (!filePath) {
+    return null;
+  }
+
+  const baseName = path.basename(filePath);
+  const language = FILENAME_LANGUAGES[baseName] ||
+    EXTENSION_LANGUAGES[path.extname(baseName).toLowerCase()];
+  return language ? LANGUAGES[language] : null;
+}
+
+module.exports = {
+  getLanguage,
+  LANGUAGES,
+  EXTENSION_LANGUAGES,
+  FILENAME_LANGUAGES
+};
@@ -0,0 +1,411 @@
+/**
+ * Literals - finds where a source file processes escape sequences
+ *
+ * The escape fix strategy may only rewrite an emoji where its escape means
+ * the same thing: inside string literals that process escapes in code,
+ * outside comments, code and raw text in markup, and outside comments in
+ * CSS. Everything else (JSX text, raw strings, regexes without the u flag,
+ * <script> blocks, fenced code in Markdown) keeps its emojis.
+ */
+
+const { getLanguage } = require('./languages');
+
+const C_COMMENTS = { lineComments: ['//'], blockComments: [['/*', '*/']] };
+
+/**
+ * Build a string literal rule
+ * @param {string} open - Opening quote
+ * @param {Object} [options] - Rule options
+ * @param {boolean} [options.escapes=true] - Whether escapes are processed
+ * @param {boolean} [options.multiline=false] - Whether the string may span lines
+ * @param {boolean} [options.template=false] - Whether ${} holds code
+ * @param {boolean} [options.char=false] - Whether it is a one-character
+ *   literal ('a'), so a lone quote (a Rust lifetime) starts nothing
+ * @returns {Object} String rule
+ */
+function quote(open, options = {}) {
+  return { open, escapes: true, multiline: false, template: false, char: false, ...options };
+}
+
+/**
+ * String literal syntax of each code language. Strings are listed longest
+ * opener first; `prefix` tells from the letters or symbols right before a
+ * quote whether the string is raw (no escapes) or verbatim (no escapes and
+ * no backslash before the closing quote).
+ */
+const CODE_SYNTAX = {
+  js: {
+    ...C_COMMENTS,
+    strings: [quote('"'), quote('\''), quote('`', { multiline: true, template: true })],
+    regex: true
+  },
+  ruby: {
+    lineComments: ['#'],
+    blockComments: [],
+    strings: [quote('"', { multiline: true }), quote('\'', { escapes: false, multiline: true })]
+  },
+  rust: {
+    ...C_COMMENTS,
+    strings: [quote('"', { multiline: true }), quote('\'', { char: true })],
+    // r"" is raw and b"" holds bytes
+    prefix: text => (/(?:^|[^\w])(?:b?r#*|b)$/.test(text) ? 'raw' : null)
+  },
+  swift: {
+    ...C_COMMENTS,
+    strings: [quote('"""', { multiline: true }), quote('"')],
+    prefix: text => (text.endsWith('#') ? 'raw' : null)
+  },
+  json: {
+    lineComments: [],
+    blockComments: [],
+    strings: [quote('"')]
+  },
+  java: {
+    ...C_COMMENTS,
+    strings: [quote('"""', { multiline: true }), quote('"'), quote('\'', { char: true })]
+  },
+  kotlin: {
+    ...C_COMMENTS,
+    strings: [quote('"""', { escapes: false, multiline: true }), quote('"'), quote('\'', { char: true })]
+  },
+  python: {
+    lineComments: ['#'],
+    blockComments: [],
+    strings: [quote('"""', { multiline: true }), quote('\'\'\'', { multiline: true }), quote('"'), quote('\'')],
+    // r'' is raw and b'' holds bytes, where \u is not an escape
+    prefix: text => (/(?:^|[^\w])(?=[rbuf]{1,2}$)[uf]?[rb]/i.test(text) ? 'raw' : null)
+  },
+  go: {
+    ...C_COMMENTS,
+    strings: [quote('"'), quote('`', { escapes: false, multiline: true }), quote('\'', { char: true })]
+  },
+  csharp: {
+    ...C_COMMENTS,
+    strings: [quote('"""', { escapes: false, multiline: true }), quote('"'), quote('\'', { char: true })],
+    prefix: text => (/@\$?$|\$@$/.test(text) ? 'verbatim' : null)
+  }
+};
+
+/**
+ * Parts of markup and CSS files that are not decoded as markup or CSS:
+ * comments, raw text elements, template expressions and code
+ */
+const HTML_RAW = '<!--[\\s\\S]*?(?:-->|(?![\\s\\S]))|<!\\[CDATA\\[[\\s\\S]*?(?:\\]\\]>|(?![\\s\\S]))|' +
+  '<(script|style)\\b[\\s\\S]*?(?:<\\/\\1\\s*>|(?![\\s\\S]))';
+const RAW_PATTERNS = {
+  html: new RegExp(HTML_RAW, 'gi'),
+  vue: new RegExp(`${HTML_RAW}|\\{\\{[\\s\\S]*?(?:\\}\\}|(?![\\s\\S]))`, 'gi'),
+  svelte: new RegExp(`${HTML_RAW}|\\{[\\s\\S]*?(?:\\}|(?![\\s\\S]))`, 'gi'),
+  // Fenced code blocks, HTML comments and code spans
+  markdown: new RegExp(
+    '^ {0,3}((`|~)\\2{2,})[^\\n]*(?:\\n[\\s\\S]*?)?(?:\\n {0,3}\\1\\2*[ \\t]*$|(?![\\s\\S]))|' +
+    '<!--[\\s\\S]*?(?:-->|(?![\\s\\S]))|' +
+    '(`+)(?!`)[\\s\\S]*?(?<!`)\\3(?!`)',
+    'gm'
+  ),
+  css: /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/g,
+  scss: /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))|\/\/[^\n]*/g
+};
+
+// Identifiers and regex flags, matched in place with lastIndex
+const WORD = /[A-Za-z_$][\w$]*/y;
+const FLAGS = /[a-z]*/y;
+
+// Keywords after which a slash starts a regex rather than a division
+const REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * Check whether a regex or JSX element can start after a token
+ * @param {string} previous - Last significant token ('' at the start)
+ * @returns {boolean} True if an expression is expected
+ */
+function expectsExpression(previous) {
+  return previous === '' || /^[(,=:[!&|?{};+\-*%<>~^]$/.test(previous) || REGEX_KEYWORDS.has(previous);
+}
+
+/**
+ * Find the end of a regex literal
+ * @param {string} text - Source text
+ * @param {number} start - Index of the opening slash
+ * @returns {number} Index of the closing slash, or -1 when there is none
+ */
+function findRegexEnd(text, start) {
+  let inClass = false;
+  for (let i = start + 1; i < text.length && text[i] !== '\n'; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '[') {
+      inClass = true;
+    } else if (text[i] === ']') {
+      inClass = false;
+    } else if (text[i] === '/' && !inClass) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the string literals of a code file that process escapes
+ * @param {string} text - Source text
+ * @param {Object} syntax - Entry of CODE_SYNTAX
+ * @param {boolean} jsx - Whether JSX elements may appear
+ * @returns {Array<Array<number>>} [start, end) UTF-16 ranges
+ */
+function findCodeRanges(text, syntax, jsx) {
+  const ranges = [];
+  // Code, template literals and JSX nest inside each other
+  const stack = [{ type: 'code', depth: 0 }];
+  let previous = '';
+  let i = 0;
+
+  /**
+   * Continue after a JSX element ends
+   */
+  const endElement = () => {
+    if (stack[stack.length - 1].type === 'code') {
+      previous = ')';
+    }
+  };
+
+  while (i < text.length) {
+    const context = stack[stack.length - 1];
+    const char = text[i];
+
+    if (context.type === 'template') {
+      if (char === '\\') {
+        i += 2;
+      } else if (char === '`' || text.startsWith('${', i)) {
+        if (context.escapes) {
+          ranges.push([context.start, i]);
+        }
+        if (char === '`') {
+          stack.pop();
+          previous = ')';
+          i++;
+        } else {
+          stack.push({ type: 'code', depth: 0 });
+          previous = '{';
+          i += 2;
+        }
+      } else {
+        i++;
+      }
+      continue;
+    }
+
+    if (context.type === 'jsxTag') {
+      if (char === '"' || char === '\'') {
+        // Attribute values are HTML-like and take no escapes
+        const end = text.indexOf(char, i + 1);
+        i = end === -1 ? text.length : end + 1;
+      } else if (char === '{') {
+        stack.push({ type: 'code', depth: 0 });
+        previous = '{';
+        i++;
+      } else if (text.startsWith('/>', i)) {
+        stack.pop();
+        endElement();
+        i += 2;
+      } else if (char === '>') {
+        stack.pop();
+        if (context.closing) {
+          stack.pop();
+          endElement();
+        } else {
+          stack.push({ type: 'jsxText' });
+        }
+        i++;
+      } else {
+        i++;
+      }
+      continue;
+    }
+
+    if (context.type === 'jsxText') {
+      if (char === '<') {
+        const closing = text[i + 1] === '/';
+        stack.push({ type: 'jsxTag', closing });
+        i += closing ? 2 : 1;
+      } else if (char === '{') {
+        stack.push({ type: 'code', depth: 0 });
+        previous = '{';
+        i++;
+      } else {
+        i++;
+      }
+      continue;
+    }
+
+    // Code
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const lineComment = syntax.lineComments.find(marker => text.startsWith(marker, i));
+    if (lineComment) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+      continue;
+    }
+
+    const blockComment = syntax.blockComments.find(([open]) => text.startsWith(open, i));
+    if (blockComment) {
+      const end = text.indexOf(blockComment[1], i + blockComment[0].length);
+      i = end === -1 ? text.length : end + blockComment[1].length;
+      continue;
+    }
+
+    const string = syntax.strings.find(rule => text.startsWith(rule.open, i));
+    if (string && !(string.char && !/^'(?:\\.[^'\n]*|[^\\'\n]{1,2})'/u.test(text.slice(i, i + 16)))) {
+      const before = text.slice(Math.max(0, i - 16), i);
+      const kind = syntax.prefix ? syntax.prefix(before) : null;
+      const raw = kind !== null || !string.escapes || (string.template && /\bString\.raw\s*$/.test(before));
+      const start = i + string.open.length;
+
+      if (string.template) {
+        stack.push({ type: 'template', escapes: !raw, start });
+        i = start;
+        continue;
+      }
+
+      let end = start;
+      while (end < text.length && !text.startsWith(string.open, end) &&
+          (string.multiline || text[end] !== '\n')) {
+        end += text[end] === '\\' && kind !== 'verbatim' ? 2 : 1;
+      }
+      if (!raw) {
+        ranges.push([start, Math.min(end, text.length)]);
+      }
+      previous = ')';
+      i = end + string.open.length;
+      continue;
+    }
+
+    if (syntax.regex && char === '/' && expectsExpression(previous)) {
+      const end = findRegexEnd(text, i);
+      if (end !== -1) {
+        FLAGS.lastIndex = end + 1;
+        const flags = FLAGS.exec(text)[0];
+        // Only unicode-aware regexes understand \u{...}
+        if (/[uv]/.test(flags)) {
+          ranges.push([i + 1, end]);
+        }
+        previous = ')';
+        i = end + 1 + flags.length;
+        continue;
+      }
+    }
+
+    if (jsx && char === '<' && expectsExpression(previous) && /[A-Za-z>]/.test(text[i + 1] || '')) {
+      stack.push({ type: 'jsxTag', closing: false });
+      i++;
+      continue;
+    }
+
+    if (char === '{') {
+      context.depth++;
+    } else if (char === '}') {
+      if (context.depth === 0 && stack.length > 1) {
+        // End of a ${} or JSX expression
+        stack.pop();
+        const parent = stack[stack.length - 1];
+        if (parent.type === 'template') {
+          parent.start = i + 1;
+        }
+        i++;
+        continue;
+      }
+      context.depth--;
+    }
+
+    WORD.lastIndex = i;
+    const word = WORD.exec(text);
+    previous = word ? word[0] : char;
+    i += word ? word[0].length : 1;
+  }
+
+  // An unterminated template literal runs to the end of the file
+  for (const context of stack) {
+    if (context.type === 'template' && context.escapes) {
+      ranges.push([context.start, text.length]);
+    }
+  }
+
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Find the text of a markup or CSS file outside its raw parts
+ * @param {string} text - Source text
+ * @param {RegExp} pattern - Global pattern matching the raw parts
+ * @returns {Array<Array<number>>} [start, end) UTF-16 ranges
+ */
+function findTextRanges(text, pattern) {
+  const ranges = [];
+  let cursor = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > cursor) {
+      ranges.push([cursor, match.index]);
+    }
+    cursor = Math.max(cursor, match.index + match[0].length);
+  }
+  if (cursor < text.length) {
+    ranges.push([cursor, text.length]);
+  }
+  return ranges;
+}
+
+/**
+ * Find where a file processes escape sequences
+ * @param {string} text - File content
+ * @param {string} filePath - File path, which picks the language
+ * @returns {Array<Array<number>>|null} Sorted [start, end) UTF-16 ranges,
+ *   or null when the file type is unknown
+ */
+function findEscapeRanges(text, filePath) {
+  const language = getLanguage(filePath)?.code;
+  if (!language) {
+    return null;
+  }
+  if (RAW_PATTERNS[language]) {
+    return findTextRanges(text, RAW_PATTERNS[language]);
+  }
+  return language === 'jsx'
+    ? findCodeRanges(text, CODE_SYNTAX.js, true)
+    : findCodeRanges(text, CODE_SYNTAX[language], false);
+}
+
+/**
+ * Check whether an offset falls inside any of the ranges
+ * @param {Array<Array<number>>} ranges - Sorted [start, end) ranges
+ * @param {number} offset - UTF-16 offset
+ * @returns {boolean} True if a range holds the offset
+ */
+function isInRanges(ranges, offset) {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const [start, end] = ranges[middle];
+    if (offset < start) {
+      high = middle - 1;
+    } else if (offset >= end) {
+      low = middle + 1;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  findEscapeRanges,
+  isInRanges,
+  expectsExpression,
+  findRegexEnd
+};
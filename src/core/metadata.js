@@ -0,0 +1,71 @@
+/**
+ * Emoji metadata lookup backed by the bundled emoji-test.txt dataset
+ * (regenerate with scripts/generate-emoji-data.js)
+ */
+
+const EMOJI_DATA = require('../data/emoji-data.json');
+const SHORTCODES = require('../data/shortcodes.json');
+
+// Text (U+FE0E) and emoji (U+FE0F) presentation selectors, which do not
+// change which emoji is meant
+const VARIATION_SELECTORS = /[\uFE0E\uFE0F]/g;
+
+// Index without variation selectors so unqualified forms (⚠ vs ⚠️) resolve
+const EMOJI_INDEX = new Map();
+for (const [emoji, entry] of Object.entries(EMOJI_DATA.emojis)) {
+  EMOJI_INDEX.set(emoji.replace(VARIATION_SELECTORS, ''), entry);
+}
+
+// Reverse shortcode table; the first name in sorted order wins (👍 -> +1)
+const SHORTCODE_INDEX = new Map();
+for (const [name, emoji] of Object.entries(SHORTCODES)) {
+  const key = emoji.replace(VARIATION_SELECTORS, '');
+  if (!SHORTCODE_INDEX.has(key)) {
+    SHORTCODE_INDEX.set(key, name);
+  }
+}
+
+/**
+ * Format the code points of an emoji, e.g. "U+1F468 U+200D U+1F4BB"
+ * @param {string} emoji - Emoji text
+ * @returns {string} Space-separated code points
+ */
+function formatCodePoints(emoji) {
+  return [...emoji]
+    .map(char => 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'))
+    .join(' ');
+}
+
+/**
+ * Look up metadata for an emoji
+ * @param {string} emoji - Emoji text
+ * @returns {Object} Code points plus CLDR name, group, subgroup and Emoji
+ *   version (null when the sequence is not in the dataset)
+ */
+function getEmojiMetadata(emoji) {
+  const entry = EMOJI_INDEX.get(emoji.replace(VARIATION_SELECTORS, ''));
+
+  return {
+    codePoints: formatCodePoints(emoji),
+    name: entry ? entry[0] : null,
+    group: entry ? EMOJI_DATA.groups[entry[1]] : null,
+    subgroup: entry ? EMOJI_DATA.subgroups[entry[2]] : null,
+    emojiVersion: entry ? entry[3] : null
+  };
+}
+
+/**
+ * Look up the GitHub shortcode name for an emoji
+ * @param {string} emoji - Emoji text
+ * @returns {string|null} Shortcode name without colons, e.g. "rocket"
+ */
+function getShortcode(emoji) {
+  return SHORTCODE_INDEX.get(emoji.replace(VARIATION_SELECTORS, '')) || null;
+}
+
+module.exports = {
+  getEmojiMetadata,
+  getShortcode,
+  formatCodePoints,
+  VARIATION_SELECTORS
+};
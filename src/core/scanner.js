@@ -4,6 +4,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { ValidationError } = require('../utils/errors');
 
 /**
  * File scanner class
@@ -46,6 +47,40 @@ class FileScanner {
     }
   }
 
+  /**
+   * Read text piped to stdin as a single scan result
+   * @param {string} [filePath] - Path to report the text under, which also
+   *   decides the config, ignores and directive syntax that apply
+   * @param {stream.Readable} [stream] - Stream to read (default: process.stdin)
+   * @returns {AsyncGenerator} Yields one scan result
+   */
+  async *scanStdin(filePath = '<stdin>', stream = process.stdin) {
+    try {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+      }
+      const content = Buffer.concat(chunks).toString('utf8');
+      yield {
+        filePath,
+        content,
+        size: Buffer.byteLength(content, 'utf8'),
+        isTextFile: true,
+        isComplete: true,
+        error: null
+      };
+    } catch (error) {
+      yield {
+        filePath,
+        content: null,
+        size: 0,
+        isTextFile: false,
+        isComplete: false,
+        error
+      };
+    }
+  }
+
   /**
    * Scan directory for files
    * @param {string} dir - Directory path
@@ -93,11 +128,17 @@ class FileScanner {
             files.push(fullPath);
           }
         } catch (error) {
-          // Skip files we can't access
+          // Skip files we can't access, but not broken configs
+          if (error instanceof ValidationError) {
+            throw error;
+          }
         }
       }
     } catch (error) {
-      // Skip directories we can't read
+      // Skip directories we can't read, but not broken configs
+      if (error instanceof ValidationError) {
+        throw error;
+      }
     }
     
     return files;
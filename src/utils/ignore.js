@@ -1,105 +1,786 @@
 /**
- * Utilities for parsing inline ignore comments
+ * Utilities for parsing inline directive comments
+ *
+ * Supported directives (in any comment the file's language allows, see
+ * LANGUAGE_SYNTAX):
+ * - emoji-linter-disable-next-line  Ignore emojis on the line after the comment
+ * - emoji-linter-disable-line       Ignore emojis on this line
+ * - emoji-linter-disable            Ignore emojis until emoji-linter-enable
+ * - emoji-linter-enable             End a disable block
+ * - emoji-linter-disable-file       Ignore the whole file (first 10 lines only)
+ *
+ * emoji-linter-ignore-line and emoji-linter-ignore-next-line are accepted as
+ * aliases for the -disable- forms.
+ *
+ * A disable directive may name the emojis it allows, as emojis, shortcodes
+ * or categories: `// emoji-linter-disable-next-line 🚀 :white_check_mark: flags`.
+ * Other emojis on the covered lines are still reported.
+ *
+ * Inline config comments in the first 10 lines adjust settings for the
+ * file: `emoji-linter allow: ✅ ❌`, `emoji-linter severity: warn` and
+ * `emoji-linter max: 3`.
  */
 
+const SHORTCODES = require('../data/shortcodes.json');
+const { getLanguage } = require('../core/languages');
+const { expectsExpression, findRegexEnd } = require('../core/literals');
+const { VARIATION_SELECTORS } = require('../core/metadata');
+
 /**
- * Regular expressions for different comment styles
+ * Comment openers and their closing markers (null for line comments)
+ * - lineStart: only counts as the first token on a line (Batch REM and ::)
+ * - ignoreCase: match the opener case-insensitively
  */
-const IGNORE_PATTERNS = {
-  // Line comments: // emoji-linter-disable
-  LINE_COMMENT: /\/\/\s*emoji-linter-disable(?:-line)?/i,
-  
-  // Block comments: /* emoji-linter-disable */
-  BLOCK_COMMENT: /\/\*\s*emoji-linter-disable(?:-line)?\s*\*\//i,
-  
-  // Hash comments: # emoji-linter-disable
-  HASH_COMMENT: /#\s*emoji-linter-disable(?:-line)?/i,
-  
-  // HTML comments: <!-- emoji-linter-disable -->
-  HTML_COMMENT: /<!--\s*emoji-linter-disable(?:-line)?\s*-->/i
+const COMMENTS = {
+  slashes: { open: '//', close: null },
+  block: { open: '/*', close: '*/' },
+  hash: { open: '#', close: null },
+  html: { open: '<!--', close: '-->' },
+  dashes: { open: '--', close: null },
+  luaBlock: { open: '--[[', close: ']]' },
+  haskellBlock: { open: '{-', close: '-}' },
+  semicolon: { open: ';', close: null },
+  percent: { open: '%', close: null },
+  bang: { open: '!', close: null },
+  apostrophe: { open: '\'', close: null },
+  rem: { open: 'rem', close: null, lineStart: true, ignoreCase: true },
+  doubleColon: { open: '::', close: null, lineStart: true },
+  jinja: { open: '{#', close: '#}' },
+  handlebars: { open: '{{!', close: '}}' },
+  handlebarsBlock: { open: '{{!--', close: '--}}' },
+  powershellBlock: { open: '<#', close: '#>' }
 };
 
 /**
- * File-level ignore patterns
+ * Comment syntax and string quotes, by the `comments` syntax name of each
+ * language in core/languages.js
+ *
+ * Openers and quotes are listed longest first, so "--[[" wins over "--"
+ * and '"""' over '"'. Quotes, and regex literals where `regex` is set, are
+ * skipped over so that directive text inside a string literal is ignored.
  */
-const FILE_IGNORE_PATTERNS = {
-  LINE_COMMENT: /\/\/\s*emoji-linter-disable-file/i,
-  BLOCK_COMMENT: /\/\*\s*emoji-linter-disable-file\s*\*\//i,
-  HASH_COMMENT: /#\s*emoji-linter-disable-file/i,
-  HTML_COMMENT: /<!--\s*emoji-linter-disable-file\s*-->/i
+const LANGUAGE_SYNTAX = {
+  default: {
+    comments: [COMMENTS.html, COMMENTS.block, COMMENTS.slashes, COMMENTS.hash],
+    quotes: ['"', '\'', '`']
+  },
+  c: { comments: [COMMENTS.block, COMMENTS.slashes], quotes: ['"', '\'', '`'] },
+  js: { comments: [COMMENTS.block, COMMENTS.slashes], quotes: ['"', '\'', '`'], regex: true },
+  css: { comments: [COMMENTS.block], quotes: ['"', '\''] },
+  php: { comments: [COMMENTS.block, COMMENTS.slashes, COMMENTS.hash], quotes: ['"', '\''] },
+  hash: { comments: [COMMENTS.hash], quotes: ['"', '\''] },
+  python: { comments: [COMMENTS.hash], quotes: ['"""', '\'\'\'', '"', '\''] },
+  powershell: { comments: [COMMENTS.powershellBlock, COMMENTS.hash], quotes: ['"', '\''] },
+  markup: { comments: [COMMENTS.html], quotes: [] },
+  component: { comments: [COMMENTS.html, COMMENTS.block, COMMENTS.slashes], quotes: ['"', '\'', '`'] },
+  sql: { comments: [COMMENTS.block, COMMENTS.dashes], quotes: ['"', '\''] },
+  lua: { comments: [COMMENTS.luaBlock, COMMENTS.dashes], quotes: ['"', '\''] },
+  haskell: { comments: [COMMENTS.haskellBlock, COMMENTS.dashes], quotes: ['"'] },
+  lisp: { comments: [COMMENTS.semicolon], quotes: ['"'] },
+  ini: { comments: [COMMENTS.semicolon, COMMENTS.hash], quotes: ['"'] },
+  assembly: { comments: [COMMENTS.semicolon, COMMENTS.hash], quotes: ['"', '\''] },
+  tex: { comments: [COMMENTS.percent], quotes: [] },
+  erlang: { comments: [COMMENTS.percent], quotes: ['"'] },
+  fortran: { comments: [COMMENTS.bang], quotes: ['"', '\''] },
+  batch: { comments: [COMMENTS.doubleColon, COMMENTS.rem], quotes: ['"'] },
+  visualBasic: { comments: [COMMENTS.apostrophe, COMMENTS.rem], quotes: ['"'] },
+  jinja: { comments: [COMMENTS.jinja, COMMENTS.html], quotes: [] },
+  handlebars: { comments: [COMMENTS.handlebarsBlock, COMMENTS.handlebars, COMMENTS.html], quotes: [] }
 };
 
 /**
- * Check if a line contains an inline ignore comment
- * @param {string} line - The line to check
- * @returns {boolean} True if the line should be ignored
+ * Matches a directive at the start of comment text, e.g. "emoji-linter-disable-line"
  */
-function shouldIgnoreLine(line) {
-  if (typeof line !== 'string') {
+const DIRECTIVE_PATTERN = /^[\s*]*emoji-linter-(disable-next-line|disable-line|disable-file|disable|enable|ignore-next-line|ignore-line)(?![\w-])(.*)$/i;
+
+/**
+ * Matches an inline config comment, e.g. "emoji-linter severity: warn"
+ */
+const INLINE_CONFIG_PATTERN = /^[\s*]*emoji-linter\s+([\w-]+)\s*:\s*(.*)$/i;
+
+/**
+ * Severities an inline config comment may set for a file
+ */
+const INLINE_SEVERITIES = ['error', 'warn', 'off'];
+
+/**
+ * Directive names that are aliases for another directive type
+ */
+const DIRECTIVE_ALIASES = {
+  'ignore-line': 'disable-line',
+  'ignore-next-line': 'disable-next-line'
+};
+
+/**
+ * Lines that may hold an emoji-linter-disable-file directive
+ */
+const FILE_DIRECTIVE_LINES = 10;
+
+/**
+ * Directive categories and the CLDR emoji group each one allows
+ */
+const CATEGORIES = {
+  'smileys': 'Smileys & Emotion',
+  'smileys-emotion': 'Smileys & Emotion',
+  'people': 'People & Body',
+  'people-body': 'People & Body',
+  'component': 'Component',
+  'animals': 'Animals & Nature',
+  'animals-nature': 'Animals & Nature',
+  'food': 'Food & Drink',
+  'food-drink': 'Food & Drink',
+  'travel': 'Travel & Places',
+  'travel-places': 'Travel & Places',
+  'activities': 'Activities',
+  'objects': 'Objects',
+  'symbols': 'Symbols',
+  'flags': 'Flags'
+};
+
+/**
+ * Quotes whose strings can span lines (template literals and triple-quoted
+ * strings); strings opened by any other quote end with their line
+ */
+const MULTILINE_QUOTES = ['`', '"""', '\'\'\''];
+
+/**
+ * Find the comment syntax for a file
+ * @param {string} [filePath] - File path; omitted or unknown types get the
+ *   default //, /* *\/, # and <!-- --> syntax
+ * @returns {Object} Syntax with comments and quotes
+ */
+function getLanguageSyntax(filePath) {
+  const language = getLanguage(filePath);
+  return LANGUAGE_SYNTAX[language ? language.comments : 'default'];
+}
+
+/**
+ * Check if a comment opener starts at a position in a line
+ * @param {string} line - Line text
+ * @param {number} index - Position to check
+ * @param {Object} comment - Comment syntax from COMMENTS
+ * @returns {boolean} True if the comment starts here
+ */
+function startsComment(line, index, comment) {
+  const { open } = comment;
+  const text = line.slice(index, index + open.length);
+
+  if ((comment.ignoreCase ? text.toLowerCase() : text) !== open) {
     return false;
   }
+  // REM and :: must start the statement
+  if (comment.lineStart && !/^\s*@?$/.test(line.slice(0, index))) {
+    return false;
+  }
+  // Word openers must not run into a longer word (REMARK)
+  return !/\w$/.test(open) || !/\w/.test(line[index + open.length] || '');
+}
+
+/**
+ * Parse one directive target: a category, a :shortcode: or an emoji
+ * @param {string} token - Target as written
+ * @returns {Object} { category } or { emoji } (without variation selectors)
+ */
+function parseTarget(token) {
+  const category = CATEGORIES[token.toLowerCase()];
+  if (category) {
+    return { token, category };
+  }
+
+  const shortcode = token.match(/^:([a-z0-9_+-]+):$/);
+  const emoji = shortcode && SHORTCODES[shortcode[1]] ? SHORTCODES[shortcode[1]] : token;
+  return { token, emoji: emoji.replace(VARIATION_SELECTORS, '') };
+}
+
+/**
+ * Cut comment text off at the comment's closing marker
+ * @param {string} text - Comment text
+ * @param {string|null} close - Closing marker, if any
+ * @returns {string} Text before the closing marker
+ */
+function stripClose(text, close) {
+  return close && text.includes(close) ? text.slice(0, text.indexOf(close)) : text;
+}
+
+/**
+ * Parse a directive from the text that follows a comment opener
+ * @param {string} text - Comment text
+ * @param {string|null} close - Closing marker of the comment, if any
+ * @returns {Object|null} Directive type and trailing text, or null
+ */
+function matchDirective(text, close) {
+  const config = text.match(INLINE_CONFIG_PATTERN);
+  if (config) {
+    const key = config[1].toLowerCase();
+    const value = stripClose(config[2], close).trim();
+    return {
+      type: 'config',
+      name: 'emoji-linter',
+      text: `${key}: ${value}`,
+      key,
+      value,
+      targets: [],
+      justification: ''
+    };
+  }
+
+  const match = text.match(DIRECTIVE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const name = match[1].toLowerCase();
+  const rest = stripClose(match[2], close);
+
+  // Targets come before an optional "-- justification"
+  const separator = rest.search(/(?:^|\s)--(?:\s|$)/);
+  const targetText = separator === -1 ? rest : rest.slice(0, separator);
+  const justification = separator === -1 ? '' : rest.slice(separator).replace(/^\s*--/, '').trim();
+
+  return {
+    type: DIRECTIVE_ALIASES[name] || name,
+    name: `emoji-linter-${name}`,
+    text: rest.trim(),
+    targets: targetText.split(/[\s,]+/).filter(Boolean).map(parseTarget),
+    justification
+  };
+}
+
+/**
+ * Find where a comment that starts at a column ends
+ * @param {string} line - Line text
+ * @param {number} start - Index where the comment text starts
+ * @param {string|null} close - Closing marker, if any
+ * @returns {number} Exclusive 1-based end column
+ */
+function findCommentEnd(line, start, close) {
+  const closeIndex = close ? line.indexOf(close, start) : -1;
+  return closeIndex === -1 ? line.length + 1 : closeIndex + close.length + 1;
+}
+
+/**
+ * Find directives written in comments
+ *
+ * Tracks block comments, template literals and triple-quoted strings
+ * spanning lines, so directive text inside a string is not mistaken for a
+ * comment.
+ *
+ * @param {string} content - File content
+ * @param {Object} syntax - Language syntax from getLanguageSyntax
+ * @returns {Array} Directives with type, name, text, targets and position
+ */
+function findCommentDirectives(content, syntax) {
+  const directives = [];
+  // Block comment being read: its opener, closer, start and directives
+  let block = null;
+  let quote = null;
+  // Last token of code, which tells a regex literal from a division
+  let previous = '';
+  let lineOffset = 0;
+
+  /**
+   * Record a directive found in a comment spanning the given columns
+   * @param {Object} directive - Parsed directive
+   * @param {string} line - Line text
+   * @param {number} lineNumber - Line number (1-based)
+   * @param {number} columnNumber - Column of the comment opener (1-based)
+   * @param {number} start - Index where the comment text starts
+   * @param {string|null} close - Closing marker of the comment, if any
+   */
+  const addDirective = (directive, line, lineNumber, columnNumber, start, close) => {
+    const endColumnNumber = findCommentEnd(line, start, close);
+    const added = {
+      ...directive,
+      lineNumber,
+      columnNumber,
+      endColumnNumber,
+      offsets: { utf16: [lineOffset + columnNumber - 1, lineOffset + endColumnNumber - 1] }
+    };
+    directives.push(added);
+    if (block) {
+      // Where the directive text itself starts and ends, without the
+      // decoration before it or the closer after it
+      const text = stripClose(line.slice(start), close);
+      block.directives.push({
+        directive: added,
+        line,
+        lineNumber,
+        lineOffset,
+        textStart: start + text.match(/^[\s*]*/)[0].length,
+        textEnd: start + text.trimEnd().length
+      });
+    }
+  };
+
+  /**
+   * End the current block comment and work out what fix deletes for each
+   * of its directives: the whole comment when a directive is its only
+   * text, otherwise just the directive text, never the opener or closer
+   * @param {number|null} lineNumber - Line of the closer (1-based), or
+   *   null when the file ends inside the comment
+   * @param {number} [endColumnNumber] - Exclusive end column of the closer
+   */
+  const closeBlock = (lineNumber, endColumnNumber) => {
+    const end = lineOffset + endColumnNumber - 1;
+    for (const { directive, line, lineNumber: directiveLine, lineOffset: start, textStart, textEnd } of block.directives) {
+      if (lineNumber !== null) {
+        directive.commentEndLineNumber = lineNumber;
+      }
+      if (lineNumber !== null && block.directives.length === 1) {
+        const rest = content.slice(block.start, start + textStart) + content.slice(start + textEnd, end);
+        // Whitespace and the leading stars of doc comments are decoration
+        if (/^[\s*]*$/.test(rest.slice(block.open.length, -block.close.length))) {
+          directive.removal = {
+            lineNumber: block.lineNumber,
+            columnNumber: block.columnNumber,
+            endLineNumber: lineNumber,
+            endColumnNumber,
+            offsets: { utf16: [block.start, end] }
+          };
+          continue;
+        }
+      }
+
+      const before = line.slice(0, textStart);
+      const after = line.slice(textEnd);
+      let removal;
+      if (directiveLine !== block.lineNumber && /^[\s*]*$/.test(before) && /^\s*$/.test(after)) {
+        // A continuation line holding only the directive goes entirely
+        removal = [0, line.length];
+      } else if (/^\s*$/.test(after)) {
+        removal = [before.trimEnd().length, line.length];
+      } else {
+        removal = [textStart, line.length - after.trimStart().length];
+      }
+      directive.removal = {
+        lineNumber: directiveLine,
+        columnNumber: removal[0] + 1,
+        endLineNumber: directiveLine,
+        endColumnNumber: removal[1] + 1,
+        offsets: { utf16: [start + removal[0], start + removal[1]] }
+      };
+    }
+    block = null;
+  };
+
+  content.split('\n').forEach((line, index) => {
+    const lineNumber = index + 1;
+    let inLineComment = false;
+
+    // Continuation line of a block comment, e.g. " * emoji-linter-disable"
+    if (block) {
+      const directive = matchDirective(line, block.close);
+      if (directive) {
+        addDirective(directive, line, lineNumber, 1, 0, block.close);
+      }
+    }
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (block) {
+        if (line.startsWith(block.close, i)) {
+          i += block.close.length - 1;
+          closeBlock(lineNumber, i + 2);
+        }
+        continue;
+      }
+
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (line.startsWith(quote, i)) {
+          i += quote.length - 1;
+          quote = null;
+          previous = ')';
+        }
+        continue;
+      }
+
+      const comment = syntax.comments.find(candidate => startsComment(line, i, candidate));
+      if (comment) {
+        // Everything after a line comment is comment text; keep looking for
+        // directives in it, but not for strings or nested block comments
+        if (!inLineComment) {
+          if (comment.close) {
+            block = {
+              open: comment.open,
+              close: comment.close,
+              lineNumber,
+              columnNumber: i + 1,
+              start: lineOffset + i,
+              directives: []
+            };
+          } else {
+            inLineComment = true;
+          }
+        }
+
+        const start = i + comment.open.length;
+        const directive = matchDirective(line.slice(start), comment.close);
+        if (directive) {
+          addDirective(directive, line, lineNumber, i + 1, start, comment.close);
+        }
+        i += comment.open.length - 1;
+        continue;
+      }
+
+      if (inLineComment) {
+        continue;
+      }
+
+      // Quotes inside a regex literal, as in /"/ or /`/g, open no string
+      if (syntax.regex && char === '/' && expectsExpression(previous)) {
+        const end = findRegexEnd(line, i);
+        if (end !== -1) {
+          i = end;
+          previous = ')';
+          continue;
+        }
+      }
+
+      // An apostrophe inside a word ("don't") does not start a string
+      const opener = syntax.quotes.find(candidate => line.startsWith(candidate, i));
+      if (opener && (opener !== '\'' || !/\w/.test(line[i - 1] || ''))) {
+        quote = opener;
+        i += opener.length - 1;
+      } else if (/[\w$]/.test(char)) {
+        previous = /[\w$]/.test(line[i - 1] || '') ? previous + char : char;
+      } else if (!/\s/.test(char)) {
+        previous = char;
+      }
+    }
+
+    if (quote && !MULTILINE_QUOTES.includes(quote)) {
+      quote = null;
+    }
+    lineOffset += line.length + 1;
+  });
+
+  if (block) {
+    closeBlock(null);
+  }
+  return directives;
+}
+
+/**
+ * Check the value of an inline config comment
+ * @param {Object} directive - Directive of type 'config'
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateInlineConfig({ key, value }) {
+  switch (key) {
+  case 'allow':
+    return value ? null : 'Inline config "allow" needs at least one emoji or category';
+  case 'severity':
+    return INLINE_SEVERITIES.includes(value.toLowerCase())
+      ? null
+      : `Invalid inline severity "${value}". Valid severities: ${INLINE_SEVERITIES.join(', ')}`;
+  case 'max':
+    return /^\d+$/.test(value) ? null : `Invalid inline max "${value}". Expected a whole number`;
+  default:
+    return `Unknown inline config "${key}". Valid settings: allow, severity, max`;
+  }
+}
 
-  // Check all ignore patterns
-  for (const pattern of Object.values(IGNORE_PATTERNS)) {
-    if (pattern.test(line)) {
-      return true;
+/**
+ * Collect the file settings from valid inline config comments
+ *
+ * Later comments override earlier ones; `allow` lists add up.
+ *
+ * @param {Array} directives - Directives from parseDirectives
+ * @returns {Object} { allow: targets, severity: string|null, max: number|null }
+ */
+function parseInlineConfig(directives) {
+  const settings = { allow: [], severity: null, max: null };
+
+  for (const directive of directives) {
+    if (directive.type !== 'config' || directive.error) {
+      continue;
+    }
+
+    switch (directive.key) {
+    case 'allow':
+      settings.allow.push(...directive.value.split(/[\s,]+/).filter(Boolean).map(parseTarget));
+      break;
+    case 'severity':
+      settings.severity = directive.value.toLowerCase();
+      break;
+    case 'max':
+      settings.max = Number(directive.value);
+      break;
     }
   }
 
-  return false;
+  return settings;
 }
 
 /**
- * Check if file content contains a file-level ignore comment
- * @param {string} content - The file content to check
- * @returns {boolean} True if the entire file should be ignored
+ * Parse directives and work out the lines each one covers
+ *
+ * Each directive gets a `range` of [firstLine, lastLine] (1-based,
+ * inclusive, lastLine may be Infinity). `enable` closes every open
+ * `disable` block; a disable-file directive past the first 10 lines has
+ * no range.
+ *
+ * @param {string} content - File content
+ * @param {string} [filePath] - File path, used to pick the comment syntax
+ * @returns {Array} Directives in file order
  */
-function shouldIgnoreFile(content) {
+function parseDirectives(content, filePath) {
   if (typeof content !== 'string') {
-    return false;
+    return [];
   }
 
-  // Check first few lines for file-level ignore comments
-  const lines = content.split('\n').slice(0, 10); // Check first 10 lines
-  
-  for (const line of lines) {
-    for (const pattern of Object.values(FILE_IGNORE_PATTERNS)) {
-      if (pattern.test(line)) {
-        return true;
+  const directives = findCommentDirectives(content, getLanguageSyntax(filePath));
+  let openBlocks = [];
+
+  for (const directive of directives) {
+    const { lineNumber } = directive;
+
+    switch (directive.type) {
+    case 'disable-line':
+      directive.range = [lineNumber, lineNumber];
+      break;
+    case 'disable-next-line': {
+      // In a block comment, the next line is the one after the comment
+      const nextLine = (directive.commentEndLineNumber || lineNumber) + 1;
+      directive.range = [nextLine, nextLine];
+      break;
+    }
+    case 'disable-file':
+      directive.range = lineNumber <= FILE_DIRECTIVE_LINES ? [1, Infinity] : null;
+      break;
+    case 'disable':
+      directive.range = [lineNumber, Infinity];
+      openBlocks.push(directive);
+      break;
+    case 'enable':
+      directive.range = null;
+      directive.closes = openBlocks;
+      for (const block of openBlocks) {
+        block.range[1] = Math.max(block.range[0], lineNumber - 1);
       }
+      openBlocks = [];
+      break;
+    case 'config':
+      directive.range = null;
+      directive.error = lineNumber <= FILE_DIRECTIVE_LINES
+        ? validateInlineConfig(directive)
+        : 'Inline config must be in the first 10 lines';
+      break;
     }
   }
 
-  return false;
+  return directives;
+}
+
+/**
+ * Check if an emoji match is one of the given targets
+ * @param {Array} targets - Targets from parseTarget
+ * @param {Object} match - Match from findEmojis
+ * @returns {boolean} True if a target names the emoji or its category
+ */
+function matchesTarget(targets, match) {
+  const emoji = (match.unicode || match.emoji).replace(VARIATION_SELECTORS, '');
+  return targets.some(target =>
+    (target.category ? target.category === match.group : target.emoji === emoji)
+  );
+}
+
+/**
+ * Check if a directive allows an emoji match
+ * @param {Object} directive - Directive from parseDirectives
+ * @param {Object|null} match - Match from findEmojis; null stands for
+ *   "every emoji on the line", which only untargeted directives allow
+ * @returns {boolean} True if the directive covers the emoji
+ */
+function directiveAllows(directive, match) {
+  if (directive.targets.length === 0) {
+    return true;
+  }
+  return match ? matchesTarget(directive.targets, match) : false;
+}
+
+/**
+ * Find the directive that suppresses a line, or one emoji on it
+ * @param {Array} directives - Directives from parseDirectives
+ * @param {number} lineNumber - Line number (1-based)
+ * @param {Object} [match] - Emoji match; without one, only directives
+ *   that allow every emoji count
+ * @returns {Object|null} First directive covering the line, or null
+ */
+function findSuppressingDirective(directives, lineNumber, match = null) {
+  return directives.find(directive => {
+    const { range } = directive;
+    return range && lineNumber >= range[0] && lineNumber <= range[1] && directiveAllows(directive, match);
+  }) || null;
+}
+
+/**
+ * Check if an emoji match is part of a directive comment, such as the 🚀 in
+ * `// emoji-linter-disable-next-line 🚀`
+ * @param {Array} directives - Directives from parseDirectives
+ * @param {Object} match - Match from findEmojis
+ * @returns {boolean} True if the match is inside a directive comment
+ */
+function isInsideDirective(directives, match) {
+  return directives.some(directive =>
+    directive.lineNumber === match.lineNumber &&
+    match.columnNumber >= directive.columnNumber &&
+    match.columnNumber < directive.endColumnNumber
+  );
+}
+
+/**
+ * Types of the problems findDirectiveProblems reports
+ */
+const DIRECTIVE_PROBLEM_TYPES = new Set(['invalid-directive', 'unused-directive', 'unjustified-directive']);
+
+/**
+ * Check if a finding is a directive problem rather than an emoji
+ * @param {Object} finding - Emoji match or directive problem
+ * @returns {boolean} True for problems from findDirectiveProblems
+ */
+function isDirectiveProblem(finding) {
+  return DIRECTIVE_PROBLEM_TYPES.has(finding.type);
+}
+
+/**
+ * Report directives that suppressed nothing or lack a justification
+ *
+ * Call after marking each directive that suppressed an emoji with
+ * `used = true`. Unused directives carry an empty `replacement` so fix
+ * deletes them, along with the enable ending an unused disable and any
+ * comment left empty; unjustified ones are marked `fixable: false`.
+ *
+ * @param {Array} directives - Directives from parseDirectives
+ * @param {Object} options - Directive options
+ * @param {boolean} [options.reportUnused] - Report directives that suppressed nothing
+ * @param {boolean} [options.requireJustification] - Report disable directives
+ *   without a "-- reason"
+ * @returns {Array} Problems shaped like emoji matches, with a message
+ */
+function findDirectiveProblems(directives, options = {}) {
+  const problems = [];
+
+  for (const directive of directives) {
+    if (directive.type === 'config' && !directive.error) {
+      continue;
+    }
+    // An enable is unused once every disable it ends is, so fix removes
+    // the pair; an enable is never reported otherwise
+    const unused = directive.type === 'enable'
+      ? directive.closes.length > 0 && !directive.closes.some(block => block.used)
+      : !directive.used;
+    if (directive.type === 'enable' && !(options.reportUnused && unused)) {
+      continue;
+    }
+
+    const position = {
+      emoji: '',
+      lineNumber: directive.lineNumber,
+      columnNumber: directive.columnNumber,
+      endLineNumber: directive.lineNumber,
+      endColumnNumber: directive.endColumnNumber,
+      offsets: directive.offsets,
+      directive: directive.name
+    };
+
+    if (directive.error) {
+      // Invalid inline config is always reported
+      problems.push({
+        ...position,
+        type: 'invalid-directive',
+        message: directive.error,
+        fixable: false
+      });
+    } else if (options.reportUnused && unused) {
+      // Delete the whole comment when the directive was all it said
+      problems.push({
+        ...position,
+        ...directive.removal,
+        type: 'unused-directive',
+        message: `Unused ${directive.name} directive`,
+        replacement: ''
+      });
+    } else if (options.requireJustification && !directive.justification) {
+      problems.push({
+        ...position,
+        type: 'unjustified-directive',
+        message: `${directive.name} directive needs a justification after "--"`,
+        fixable: false
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check if a line contains a directive that ignores the line itself
+ * @param {string} line - The line to check
+ * @param {string} [filePath] - File path, used to pick the comment syntax
+ * @returns {boolean} True if the line should be ignored
+ */
+function shouldIgnoreLine(line, filePath) {
+  if (typeof line !== 'string') {
+    return false;
+  }
+
+  return findSuppressingDirective(parseDirectives(line, filePath), 1) !== null;
+}
+
+/**
+ * Check if file content contains a file-level ignore comment
+ * @param {string} content - The file content to check
+ * @param {string} [filePath] - File path, used to pick the comment syntax
+ * @returns {boolean} True if the entire file should be ignored
+ */
+function shouldIgnoreFile(content, filePath) {
+  return parseDirectives(content, filePath).some(({ type, range }) => type === 'disable-file' && range);
 }
 
 /**
  * Parse ignore comments from content and return line numbers to ignore
  * @param {string} content - The file content
+ * @param {string} [filePath] - File path, used to pick the comment syntax
  * @returns {Set<number>} Set of line numbers to ignore (1-based)
  */
-function parseIgnoreComments(content) {
+function parseIgnoreComments(content, filePath) {
   const ignoredLines = new Set();
-  
+
   if (typeof content !== 'string') {
     return ignoredLines;
   }
 
-  const lines = content.split('\n');
-  
-  lines.forEach((line, index) => {
-    if (shouldIgnoreLine(line)) {
-      ignoredLines.add(index + 1); // Convert to 1-based line numbers
+  const directives = parseDirectives(content, filePath);
+  const lineCount = content.split('\n').length;
+
+  for (let lineNumber = 1; lineNumber <= lineCount; lineNumber++) {
+    if (findSuppressingDirective(directives, lineNumber)) {
+      ignoredLines.add(lineNumber);
     }
-  });
+  }
 
   return ignoredLines;
 }
 
 module.exports = {
+  parseDirectives,
+  findSuppressingDirective,
+  isInsideDirective,
+  findDirectiveProblems,
+  isDirectiveProblem,
+  parseInlineConfig,
+  parseTarget,
+  matchesTarget,
   shouldIgnoreLine,
   shouldIgnoreFile,
   parseIgnoreComments,
-  IGNORE_PATTERNS,
-  FILE_IGNORE_PATTERNS
-};
\ No newline at end of file
+  getLanguageSyntax,
+  LANGUAGE_SYNTAX,
+  DIRECTIVE_PATTERN,
+  INLINE_CONFIG_PATTERN,
+  CATEGORIES
+};
@@ -45,8 +45,8 @@ class OutputFormatter {
     if (!hasEmojis) {
       output += 'No emojis found in any files.\n';
     } else {
-      output += '| File | Line | Column | Emoji | Type |\n';
-      output += '|------|------|--------|-------|------|\n';
+      output += '| File | Line | Column | End | Emoji | Type | Name | Severity |\n';
+      output += '|------|------|--------|-----|-------|------|------|----------|\n';
       
       for (const result of results) {
         if (result.emojis && result.emojis.length > 0) {
@@ -55,7 +55,7 @@ class OutputFormatter {
               ? '...' + result.filePath.slice(-37)
               : result.filePath;
             
-            output += `| ${file} | ${emoji.lineNumber} | ${emoji.columnNumber} | ${emoji.emoji} | ${emoji.type} |\n`;
+            output += `| ${file} | ${emoji.lineNumber} | ${emoji.columnNumber} | ${OutputUtils.formatEnd(emoji)} | ${emoji.emoji} | ${emoji.type} | ${emoji.name || emoji.message || ''} | ${emoji.severity || 'error'} |\n`;
           }
         }
       }
@@ -66,6 +66,12 @@ class OutputFormatter {
       output += `Total files processed: ${summary.totalFiles || 0}\n`;
       output += `Files with emojis: ${summary.filesWithEmojis || 0}\n`;
       output += `Total emojis found: ${summary.totalEmojis || 0}\n`;
+      if (summary.totalDirectives) {
+        output += `Directive problems: ${summary.totalDirectives}\n`;
+      }
+      if (summary.totalWarnings) {
+        output += `Warnings: ${summary.totalWarnings}\n`;
+      }
       
       if (summary.emojiTypes && Object.keys(summary.emojiTypes).length > 0) {
         output += 'Emoji types:\n';
@@ -89,7 +95,8 @@ class OutputFormatter {
     for (const result of results) {
       if (result.emojis && result.emojis.length > 0) {
         for (const emoji of result.emojis) {
-          lines.push(`${result.filePath}:${emoji.lineNumber}:${emoji.columnNumber} ${emoji.emoji}`);
+          const severity = emoji.severity === 'warning' ? ' (warning)' : '';
+          lines.push(`${result.filePath}:${emoji.lineNumber}:${emoji.columnNumber} ${emoji.emoji || emoji.message}${severity}`);
         }
       }
     }
@@ -170,6 +177,19 @@ class OutputUtils {
     }
     return `${(ms / 1000).toFixed(2)}s`;
   }
+
+  /**
+   * Format the end position of a match as "line:column". The column is
+   * exclusive, i.e. the first column after the match.
+   * @param {Object} emoji - Emoji match from findEmojis
+   * @returns {string} End position, or '' when no end is known
+   */
+  static formatEnd(emoji) {
+    if (!emoji.endColumnNumber) {
+      return '';
+    }
+    return `${emoji.endLineNumber || emoji.lineNumber}:${emoji.endColumnNumber}`;
+  }
 }
 
 module.exports = {
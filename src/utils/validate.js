@@ -0,0 +1,214 @@
+/**
+ * Minimal JSON Schema validation for config files
+ *
+ * Supports the keywords src/config/schema.json uses: type, enum, minimum,
+ * properties, required, additionalProperties, items and local $refs. Each
+ * problem carries the JSON path of the offending value and, where one can
+ * be guessed, a suggested fix.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to describe
+ * @returns {string} Type name (object, array, string, integer, number, boolean or null)
+ */
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Check whether a value has one of the types a schema allows
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} types - Allowed type names
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, types) {
+  const actual = getType(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the candidate closest to a misspelled value
+ * @param {string} value - Value as written
+ * @param {Array<string>} candidates - Valid values
+ * @returns {string|null} Closest candidate, or null when none is close
+ */
+function findClosest(value, candidates) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(String(value).length / 3)) + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(String(value), String(candidate));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Append a key or index to a JSON path
+ * @param {string} base - Path so far
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Extended path
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
+  }
+  const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+  if (!base) {
+    return segment;
+  }
+  return segment.startsWith('"') ? `${base}[${segment}]` : `${base}.${segment}`;
+}
+
+/**
+ * Suggest a fix for a value of the wrong type
+ * @param {*} value - Value as written
+ * @param {string|Array<string>} types - Allowed type names
+ * @returns {string|undefined} Suggested fix
+ */
+function suggestType(value, types) {
+  const allowed = [].concat(types);
+  if (allowed.includes('array') && typeof value === 'string') {
+    return `wrap it in a list: ${JSON.stringify([value])}`;
+  }
+  if (allowed.includes('boolean') && (value === 'true' || value === 'false')) {
+    return `drop the quotes: ${value}`;
+  }
+  if ((allowed.includes('integer') || allowed.includes('number')) &&
+      typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return `drop the quotes: ${Number(value)}`;
+  }
+  return undefined;
+}
+
+/**
+ * Resolve a local reference such as "#/definitions/cleanup"
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference to resolve
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((schema, key) => schema[key], root);
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} [jsonPath] - JSON path of the value, for messages
+ * @param {Object} [root] - Root schema, for resolving $refs
+ * @returns {Array<Object>} Problems found, each with path, message and
+ *   an optional suggestion
+ */
+function validateSchema(value, schema, jsonPath = '', root = schema) {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), jsonPath, root);
+  }
+
+  const problems = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    problems.push({
+      path: jsonPath,
+      message: `expected ${[].concat(schema.type).join(' or ')}, got ${getType(value)}`,
+      suggestion: suggestType(value, schema.type)
+    });
+    return problems;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const closest = typeof value === 'string' ? findClosest(value, schema.enum) : null;
+    problems.push({
+      path: jsonPath,
+      message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`,
+      suggestion: closest !== null ? `did you mean ${JSON.stringify(closest)}?` : undefined
+    });
+    return problems;
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    problems.push({ path: jsonPath, message: `must be at least ${schema.minimum}, got ${value}` });
+  }
+
+  if (getType(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        problems.push({ path: joinPath(jsonPath, key), message: 'missing required key' });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(jsonPath, key);
+      if (properties[key]) {
+        problems.push(...validateSchema(child, properties[key], childPath, root));
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(properties);
+        const closest = findClosest(key, known);
+        problems.push({
+          path: childPath,
+          message: 'unknown key',
+          suggestion: closest !== null
+            ? `did you mean ${JSON.stringify(closest)}?`
+            : `expected one of ${known.map(name => JSON.stringify(name)).join(', ')}`
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(child, schema.additionalProperties, childPath, root));
+      }
+    }
+  }
+
+  if (getType(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(item, schema.items, joinPath(jsonPath, index), root));
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Format a validation problem as a single line
+ * @param {Object} problem - Problem from validateSchema
+ * @returns {string} Formatted problem
+ */
+function formatProblem(problem) {
+  const suggestion = problem.suggestion ? ` (${problem.suggestion})` : '';
+  return `${problem.path || '(root)'}: ${problem.message}${suggestion}`;
+}
+
+module.exports = {
+  validateSchema,
+  formatProblem,
+  findClosest
+};
@@ -184,6 +184,72 @@ describe('CLI Class', () => {
       
       expect(() => cli.parseArguments(args)).toThrow('requires a value');
     });
+
+    test('should parse strategy option', () => {
+      const args = ['fix', 'file.js', '--strategy', 'shortcode'];
+      const parsed = cli.parseArguments(args);
+      
+      expect(parsed.options.strategy).toBe('shortcode');
+    });
+
+    test('should throw error for invalid strategy', () => {
+      const args = ['fix', 'file.js', '--strategy', 'emoticon'];
+      
+      expect(() => cli.parseArguments(args)).toThrow('Invalid strategy');
+    });
+
+    test('should parse ignore-path option', () => {
+      const args = ['check', '--ignore-path', '.lintignore', 'src/'];
+      const parsed = cli.parseArguments(args);
+      
+      expect(parsed.options['ignore-path']).toBe('.lintignore');
+      expect(parsed.files).toEqual(['src/']);
+    });
+
+    test('should parse max-warnings option', () => {
+      const parsed = cli.parseArguments(['check', 'src/', '--max-warnings', '10']);
+      
+      expect(parsed.options['max-warnings']).toBe('10');
+      expect(() => cli.parseArguments(['check', 'src/', '--max-warnings', '-1'])).toThrow('Invalid max-warnings');
+    });
+
+    test('should parse config options', () => {
+      const parsed = cli.parseArguments([
+        'check', '--config', 'ci.json', '--allow', '✅', '--allow', 'flags',
+        '--ignore-pattern', 'generated/**', '--rule', 'default=warn', '--rule', '🚀=off', 'src/'
+      ]);
+      
+      expect(parsed.options.config).toBe('ci.json');
+      expect(parsed.options.allow).toEqual(['✅', 'flags']);
+      expect(parsed.options['ignore-pattern']).toEqual(['generated/**']);
+      expect(parsed.options.rule).toEqual(['default=warn', '🚀=off']);
+      expect(parsed.files).toEqual(['src/']);
+      expect(cli.parseArguments(['check', '--no-config', 'src/']).options['no-config']).toBe(true);
+    });
+
+    test('should parse init command', () => {
+      expect(cli.parseArguments(['init'])).toEqual({ command: 'init', files: [], options: {} });
+      expect(cli.parseArguments(['init', '-y', 'packages/web']).options.yes).toBe(true);
+      expect(cli.parseArguments(['init', '--yes']).options.yes).toBe(true);
+    });
+
+    test('should parse stdin options', () => {
+      const parsed = cli.parseArguments(['fix', '--stdin', '--stdin-filename', 'src/app.js']);
+      
+      expect(parsed.options.stdin).toBe(true);
+      expect(parsed.options['stdin-filename']).toBe('src/app.js');
+      expect(parsed.files).toEqual([]);
+      expect(() => cli.parseArguments(['check', '--stdin', 'src/'])).toThrow(ValidationError);
+      expect(() => cli.parseArguments(['check', '--stdin-filename', 'a.js', 'src/'])).toThrow('requires --stdin');
+      expect(() => cli.parseArguments(['init', '--stdin'])).toThrow('only works with check and fix');
+    });
+
+    test('should throw error for invalid config options', () => {
+      expect(() => cli.parseArguments(['check', '--rule', 'flags', 'src/'])).toThrow('Invalid rule');
+      expect(() => cli.parseArguments(['check', '--config', 'a.json', '--no-config', 'src/']))
+        .toThrow('cannot be used together');
+      expect(() => cli.parseArguments(['check', 'src/', '--allow'])).toThrow('requires a value');
+    });
   });
 
   describe('Help and Version', () => {
@@ -352,6 +418,13 @@ describe('CLI Class', () => {
       expect(results.summary.totalEmojis).toBe(2);
     });
 
+    test('should report a missing config file', async () => {
+      const results = await cli.runAndGetResults(['check', 'test.js'], { config: 'missing.json' });
+      
+      expect(results.success).toBe(false);
+      expect(results.error).toMatch(/Config file not found: missing.json/);
+    });
+
     test('should handle errors gracefully', async () => {
       cli.scanner.scanFiles = jest.fn(async function* () {
         throw new Error('Test error');
@@ -0,0 +1,421 @@
+/**
+ * Tests for how the CLI filters, grades and fixes detected emojis
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { CLI, hasFailures } = require('../../../src/cli');
+
+describe('CLI - Reportable Emojis', () => {
+  let cli;
+
+  beforeEach(() => {
+    cli = new CLI();
+  });
+
+  describe('Text presentation severity', () => {
+    test('reports text-presentation symbols as errors by default', () => {
+      const emojis = cli.findReportableEmojis('Love ♥ and ✨');
+      expect(emojis.map(e => [e.emoji, e.severity])).toEqual([['♥', 'error'], ['✨', 'error']]);
+    });
+
+    test('reports text-presentation symbols as warnings when configured', () => {
+      cli.config.config.detection = { textPresentation: 'warn' };
+      const emojis = cli.findReportableEmojis('Love ♥ and ♥️');
+      expect(emojis.map(e => [e.emoji, e.severity])).toEqual([['♥', 'warning'], ['♥️', 'error']]);
+    });
+
+    test('skips text-presentation symbols when turned off', () => {
+      cli.config.config.detection = { textPresentation: 'off' };
+      const emojis = cli.findReportableEmojis('Love ♥ and ✨');
+      expect(emojis.map(e => e.emoji)).toEqual(['✨']);
+    });
+  });
+
+  describe('Rules', () => {
+    test('uses the severity of the most specific rule', () => {
+      cli.config.config.rules = { default: 'warn', flags: 'off', '🚀': 'error' };
+      const emojis = cli.findReportableEmojis('🚀 ✅ 🇺🇸');
+      expect(emojis.map(e => [e.emoji, e.severity])).toEqual([['🚀', 'error'], ['✅', 'warning']]);
+    });
+
+    test('allows emojis given as shortcodes or without variation selectors', () => {
+      cli = new CLI(false);
+      cli.applyConfigOptions({ allow: [':rocket:', '⚠'] });
+      expect(cli.findReportableEmojis('🚀 ⚠️ ⚠ 🔥').map(e => e.emoji)).toEqual(['🔥']);
+    });
+
+    test('does not count emojis turned off as suppressed by directives', () => {
+      cli.config.config.rules = { '✅': 'off' };
+      cli.config.config.directives = { reportUnused: true };
+      const emojis = cli.findReportableEmojis('✅ // emoji-linter-disable-line', 'test.js');
+      expect(emojis.map(e => e.type)).toEqual(['unused-directive']);
+    });
+  });
+
+  describe('Stdin', () => {
+    let output;
+
+    /**
+     * Pipe text to the CLI's stdin scanner
+     * @param {string} text - Text to pipe
+     */
+    function pipe(text) {
+      const scanStdin = cli.scanner.scanStdin.bind(cli.scanner);
+      jest.spyOn(cli.scanner, 'scanStdin').mockImplementation(filePath => scanStdin(filePath, Readable.from([text])));
+    }
+
+    beforeEach(() => {
+      output = [];
+      jest.spyOn(process.stdout, 'write').mockImplementation(text => output.push(text));
+      jest.spyOn(console, 'log').mockImplementation(text => output.push(text));
+      jest.spyOn(process, 'exit').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('check reports findings under the stdin filename', async () => {
+      pipe('const a = "🚀";\n');
+      await cli.checkMode([], { stdin: true, 'stdin-filename': 'src/app.js', format: 'minimal' });
+
+      expect(output.join('')).toContain('src/app.js:1:12 🚀');
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    test('fix writes only the fixed text to stdout', async () => {
+      pipe('a = "🚀"  # emoji-linter-disable-line\nb = "✅"\n');
+      await cli.fixMode([], { stdin: true, strategy: 'escape', 'stdin-filename': 'app.py' });
+
+      expect(output).toEqual(['a = "🚀"  # emoji-linter-disable-line\nb = "\\u2705"\n']);
+    });
+
+    test('fix writes ignored files back unchanged', async () => {
+      cli.config.setCliConfig({ ignorePatterns: ['generated/'] });
+      pipe('const a = "🚀";\n');
+      await cli.fixMode([], { stdin: true, 'stdin-filename': 'generated/app.js' });
+
+      expect(output).toEqual(['const a = "🚀";\n']);
+    });
+  });
+
+  describe('Failing the run', () => {
+    test.each([
+      [{ totalEmojis: 0, totalWarnings: 0 }, undefined, false],
+      [{ totalEmojis: 2, totalWarnings: 1 }, undefined, true],
+      [{ totalEmojis: 3, totalWarnings: 3 }, undefined, false],
+      [{ totalEmojis: 3, totalWarnings: 3 }, '3', false],
+      [{ totalEmojis: 3, totalWarnings: 3 }, '2', true],
+      [{ totalEmojis: 1, totalWarnings: 1 }, 0, true],
+      [{ totalEmojis: 0, totalDirectives: 1, totalWarnings: 0 }, undefined, true]
+    ])('fails %j with max warnings %j: %s', (summary, maxWarnings, expected) => {
+      expect(hasFailures(summary, maxWarnings)).toBe(expected);
+    });
+  });
+
+  describe('Directive comments', () => {
+    /**
+     * Line numbers of reported emojis
+     * @param {Array<string>} lines - File lines
+     * @returns {Array<number>} Reported line numbers
+     */
+    function reportedLines(lines) {
+      return cli.findReportableEmojis(lines.join('\n')).map(e => e.lineNumber);
+    }
+
+    test('disable-next-line ignores only the following line', () => {
+      expect(reportedLines([
+        'const a = "🚀"; // emoji-linter-disable-next-line',
+        'const b = "🚀";',
+        'const c = "🚀";'
+      ])).toEqual([1, 3]);
+    });
+
+    test('disable and enable ignore the lines between them', () => {
+      expect(reportedLines([
+        '🚀',
+        '/* emoji-linter-disable */',
+        '🚀',
+        '/* emoji-linter-enable */',
+        '🚀'
+      ])).toEqual([1, 5]);
+    });
+
+    test('disable-file ignores the whole file', () => {
+      expect(reportedLines(['# emoji-linter-disable-file', '🚀', '🔥'])).toEqual([]);
+    });
+
+    test('targeted directives allow only the emojis they name', () => {
+      expect(cli.findReportableEmojis([
+        '// emoji-linter-disable-next-line 🚀 ✅',
+        'a 🚀 ✅ 🔥',
+        'b 🇺🇸 🚀 <!-- emoji-linter-disable-line flags -->'
+      ].join('\n')).map(e => [e.lineNumber, e.emoji])).toEqual([[2, '🔥'], [3, '🚀']]);
+    });
+
+    test('uses the comment syntax of the file', () => {
+      const content = "SELECT '🚀'; -- emoji-linter-disable-line";
+      expect(cli.findReportableEmojis(content, 'query.sql')).toEqual([]);
+      expect(cli.findReportableEmojis(content, 'app.js')).toHaveLength(1);
+    });
+
+    test('directive text inside a string does not ignore the line', () => {
+      expect(reportedLines(['log("🚀 // emoji-linter-disable-line");'])).toEqual([1]);
+    });
+  });
+
+  describe('Directive problems', () => {
+    const content = [
+      'const a = 1; // emoji-linter-disable-line',
+      '// emoji-linter-disable-next-line -- brand copy',
+      'const b = "🚀";',
+      'const c = "✅"; // emoji-linter-disable-line'
+    ].join('\n');
+
+    test('reports unused directives when enabled', () => {
+      cli.config.config.directives = { reportUnused: true };
+      expect(cli.findReportableEmojis(content).map(e => [e.lineNumber, e.type, e.severity])).toEqual([
+        [1, 'unused-directive', 'error']
+      ]);
+    });
+
+    test('reports directives without a justification when required', () => {
+      cli.config.config.directives = { requireJustification: true };
+      expect(cli.findReportableEmojis(content).map(e => [e.lineNumber, e.type])).toEqual([
+        [1, 'unjustified-directive'],
+        [4, 'unjustified-directive']
+      ]);
+    });
+
+    test('fix deletes unused directives', () => {
+      cli.config.config.directives = { reportUnused: true };
+      const problems = cli.findReportableEmojis(content);
+      expect(cli.fixContent(content, problems, 'test.js')).toBe(content.replace(' // emoji-linter-disable-line\n', '\n'));
+    });
+
+    test('fix deletes the enable of an unused disable and comments left empty', () => {
+      cli.config.config.directives = { reportUnused: true };
+      const block = 'a();\n/*\n * emoji-linter-disable\n */\nb();\n// emoji-linter-enable\nc();';
+      const problems = cli.findReportableEmojis(block, 'test.js');
+      expect(cli.fixContent(block, problems, 'test.js')).toBe('a();\nb();\nc();');
+    });
+
+    test.each([
+      ['before other text', 'test.js', '/* emoji-linter-disable-next-line\n   kept for the docs build */\ny();', '/*\n   kept for the docs build */\ny();'],
+      ['after other text', 'test.js', '/** keep this note\n  emoji-linter-disable-next-line */\ny();', '/** keep this note\n  */\ny();'],
+      ['on its own line', 'test.js', '/**\n * keep this note\n * emoji-linter-disable-next-line\n */\ny();', '/**\n * keep this note\n */\ny();'],
+      ['in an HTML comment', 'README.md', '<!-- emoji-linter-disable-next-line\n     kept for the docs build -->\ntext', '<!--\n     kept for the docs build -->\ntext'],
+      ['in an unclosed comment', 'test.js', 'y();\n/* emoji-linter-disable\n   kept', 'y();\n/*\n   kept']
+    ])('fix deletes only the directive text when it shares a block comment: %s', (description, filePath, content, expected) => {
+      cli.config.config.directives = { reportUnused: true };
+      const problems = cli.findReportableEmojis(content, filePath);
+      expect(cli.fixContent(content, problems, filePath)).toBe(expected);
+    });
+  });
+
+  describe('Inline config', () => {
+    /**
+     * Reported emojis with their severity
+     * @param {Array<string>} lines - File lines
+     * @returns {Array} [emoji, severity] pairs
+     */
+    function report(lines) {
+      return cli.findReportableEmojis(lines.join('\n'), 'README.md').map(e => [e.emoji, e.severity]);
+    }
+
+    test('allow adds emojis to the allowlist for the file', () => {
+      expect(report(['<!-- emoji-linter allow: ✅ ❌ -->', '✅ ❌ 🚀'])).toEqual([['🚀', 'error']]);
+    });
+
+    test('severity downgrades the file to warnings or turns it off', () => {
+      expect(report(['<!-- emoji-linter severity: warn -->', '🚀'])).toEqual([['🚀', 'warning']]);
+      expect(report(['<!-- emoji-linter severity: off -->', '🚀'])).toEqual([]);
+    });
+
+    test('max reports only the emojis past the limit', () => {
+      expect(report(['<!-- emoji-linter max: 2 -->', '🚀 ✅', '🔥'])).toEqual([['🔥', 'error']]);
+    });
+  });
+
+  describe('Nested configs', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-linter-nested-'));
+      fs.mkdirSync(path.join(tempDir, '.git'));
+      fs.mkdirSync(path.join(tempDir, 'docs'));
+      fs.writeFileSync(path.join(tempDir, 'docs', '.emoji-linter.config.json'),
+        JSON.stringify({ ignore: { emojis: ['✅'] }, cleanup: { strategy: 'shortcode' } }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('applies the severity and limit of matching overrides', () => {
+      fs.writeFileSync(path.join(tempDir, '.emoji-linter.config.json'), JSON.stringify({
+        overrides: [{ files: ['src/**'], severity: 'warn', max: 1 }]
+      }));
+      const srcFile = path.join(tempDir, 'src', 'index.js');
+
+      expect(cli.findReportableEmojis('🚀 ✅ 🔥', srcFile).map(e => [e.emoji, e.severity]))
+        .toEqual([['✅', 'warning'], ['🔥', 'warning']]);
+      expect(cli.findReportableEmojis('// emoji-linter severity: error\n🚀 ✅', srcFile).map(e => e.severity))
+        .toEqual(['error']);
+    });
+
+    test('applies the config closest to each file', () => {
+      const content = '✅ 🚀';
+      const docsFile = path.join(tempDir, 'docs', 'guide.md');
+      const srcFile = path.join(tempDir, 'src', 'index.js');
+
+      const docsEmojis = cli.findReportableEmojis(content, docsFile);
+      expect(docsEmojis.map(e => e.emoji)).toEqual(['🚀']);
+      expect(cli.fixContent(content, docsEmojis, docsFile)).toBe('✅ :rocket:');
+      expect(cli.findReportableEmojis(content, srcFile).map(e => e.emoji)).toEqual(['✅', '🚀']);
+    });
+
+    test('applies command line config options over the config files', () => {
+      const configPath = path.join(tempDir, 'ci.json');
+      fs.writeFileSync(configPath, JSON.stringify({ rules: { '🚀': 'off' } }));
+      const docsFile = path.join(tempDir, 'docs', 'guide.md');
+
+      cli.applyConfigOptions({ config: configPath, allow: ['🔥'], rule: ['✅=warn'] });
+      expect(cli.scanner.config).toBe(cli.config);
+      expect(cli.findReportableEmojis('✅ 🚀 🔥 🎉', docsFile).map(e => [e.emoji, e.severity]))
+        .toEqual([['✅', 'warning'], ['🎉', 'error']]);
+
+      cli.applyConfigOptions({ 'no-config': true });
+      expect(cli.findReportableEmojis('✅ 🚀', docsFile).map(e => e.emoji)).toEqual(['✅', '🚀']);
+      expect(() => cli.applyConfigOptions({ config: path.join(tempDir, 'missing.json') }))
+        .toThrow('Config file not found');
+    });
+
+    test('reads the working directory config only when the command line does not choose one', async () => {
+      const cwd = process.cwd();
+      fs.writeFileSync(path.join(tempDir, '.emoji-linter.config.json'), '{ invalid json');
+      fs.writeFileSync(path.join(tempDir, 'ci.json'), JSON.stringify({ rules: { '🚀': 'off' } }));
+      try {
+        process.chdir(tempDir);
+        const noConfig = new CLI();
+        noConfig.applyConfigOptions({ 'no-config': true });
+        expect(noConfig.findReportableEmojis('🚀', 'a.js')).toHaveLength(1);
+
+        const ciConfig = new CLI();
+        ciConfig.applyConfigOptions({ config: 'ci.json' });
+        expect(ciConfig.findReportableEmojis('🚀', 'a.js')).toHaveLength(0);
+
+        await expect(new CLI().initMode([], { yes: true })).rejects.toThrow('Config file already exists: .emoji-linter.config.json');
+        expect(() => new CLI().config).toThrow('Invalid config file');
+      } finally {
+        process.chdir(cwd);
+      }
+    });
+
+    test('reports a broken nested config instead of skipping its files', async () => {
+      fs.writeFileSync(path.join(tempDir, 'docs', '.emoji-linter.config.json'), JSON.stringify({ ignores: ['*.md'] }));
+      const docsFile = path.join(tempDir, 'docs', 'guide.md');
+      fs.writeFileSync(docsFile, '🚀\n');
+
+      await expect(cli.expandPaths([tempDir])).rejects.toThrow('Invalid config file');
+      expect(() => cli.findReportableEmojis('🚀', docsFile)).toThrow('Invalid config file');
+    });
+
+    test('treats a package.json that does not parse as no config', async () => {
+      fs.mkdirSync(path.join(tempDir, 'fixtures'));
+      fs.writeFileSync(path.join(tempDir, 'fixtures', 'package.json'), '{ "name": ');
+      const fixtureFile = path.join(tempDir, 'fixtures', 'app.js');
+      fs.writeFileSync(fixtureFile, 'log("🚀");\n');
+
+      expect(await cli.expandPaths([tempDir])).toContain(fixtureFile);
+      expect(cli.findReportableEmojis('🚀', fixtureFile).map(e => e.emoji)).toEqual(['🚀']);
+    });
+  });
+
+  describe('Fixing reportable emojis', () => {
+    /**
+     * Fix content the way fix mode does
+     * @param {string} content - File content
+     * @returns {string} Fixed content
+     */
+    function fix(content) {
+      return cli.fixContent(content, cli.findReportableEmojis(content), 'test.js');
+    }
+
+    test('leaves ignored lines byte-for-byte unchanged', () => {
+      const content = 'a 🚀\nconst x = "✨ ";  // emoji-linter-ignore-line\nb 🔥\n';
+      expect(fix(content)).toBe('a\nconst x = "✨ ";  // emoji-linter-ignore-line\nb\n');
+    });
+
+    test('leaves allowed emojis unchanged', () => {
+      cli.config.config.ignore.emojis = ['✨'];
+      expect(fix('✨ done 🚀 ✨')).toBe('✨ done ✨');
+    });
+
+    test('leaves shortcodes of allowed emojis unchanged', () => {
+      cli.config.config.ignore.emojis = ['🚀'];
+      cli.config.config.detection = { shortcodes: true };
+      expect(fix(':rocket: and :fire:')).toBe(':rocket: and');
+    });
+
+    describe('fix mode', () => {
+      let tempDir;
+      let output;
+
+      beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-linter-fix-'));
+        output = [];
+        jest.spyOn(console, 'log').mockImplementation(text => output.push(text));
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      });
+
+      test('words the summary after the strategy', async () => {
+        fs.writeFileSync(path.join(tempDir, 'app.js'), 'log("🚀 ✅");\n');
+        await cli.fixMode([tempDir], { strategy: 'shortcode' });
+
+        expect(output[0]).toBe(`Fixed: ${path.join(tempDir, 'app.js')} (replaced 2 emojis)`);
+        expect(output[1]).toMatch(/Fixed 1 files, replaced 2 emojis/);
+      });
+
+      test('does not count files the strategy leaves unchanged', async () => {
+        fs.writeFileSync(path.join(tempDir, 'notes.txt'), 'notes 🚀\n');
+        fs.writeFileSync(path.join(tempDir, 'app.js'), 'log("🚀");\n');
+        await cli.fixMode([tempDir], { strategy: 'escape' });
+
+        expect(fs.readFileSync(path.join(tempDir, 'notes.txt'), 'utf8')).toBe('notes 🚀\n');
+        expect(output).toHaveLength(2);
+        expect(output[1]).toMatch(/Fixed 1 files, escaped 1 emojis/);
+      });
+
+      test('does not count emojis the escape strategy leaves outside strings', async () => {
+        fs.writeFileSync(path.join(tempDir, 'app.jsx'), 'const el = <p title="🚀">🚀</p>;\nlog("🔥");\n');
+        await cli.fixMode([tempDir], { strategy: 'escape' });
+
+        expect(fs.readFileSync(path.join(tempDir, 'app.jsx'), 'utf8'))
+          .toBe('const el = <p title="🚀">🚀</p>;\nlog("\\u{1F525}");\n');
+        expect(output[1]).toMatch(/Fixed 1 files, escaped 1 emojis/);
+      });
+
+      test('counts deleted directives apart from emojis', async () => {
+        fs.mkdirSync(path.join(tempDir, '.git'));
+        fs.writeFileSync(path.join(tempDir, '.emoji-linter.config.json'), JSON.stringify({ directives: { reportUnused: true } }));
+        fs.writeFileSync(path.join(tempDir, 'a.js'), 'a(); // emoji-linter-disable-line\nlog("🚀");\n');
+        fs.writeFileSync(path.join(tempDir, 'b.js'), '// emoji-linter-disable\nb();\n// emoji-linter-enable\n');
+        await cli.fixMode([tempDir], { strategy: 'shortcode' });
+
+        expect(output.slice(0, 2).sort()).toEqual([
+          `Fixed: ${path.join(tempDir, 'a.js')} (replaced 1 emojis, removed 1 unused directives)`,
+          `Fixed: ${path.join(tempDir, 'b.js')} (removed 2 unused directives)`
+        ]);
+        expect(output[2]).toMatch(/Fixed 2 files, replaced 1 emojis, removed 3 unused directives/);
+      });
+    });
+  });
+});
@@ -1,16 +1,30 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { execFileSync } = require('child_process');
 const { Config } = require('../../../src/core/config');
+const { ValidationError } = require('../../../src/utils/errors');
 
 describe('Config', () => {
   let tempDir;
   let originalCwd;
 
+  /**
+   * Write a file in the temp dir, creating its directory
+   * @param {string} file - Path relative to the temp dir
+   * @param {string|Object} contents - File text, or data to write as JSON
+   */
+  function write(file, contents) {
+    fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, file), typeof contents === 'string' ? contents : JSON.stringify(contents));
+  }
+
   beforeEach(() => {
     tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-linter-test-'));
     originalCwd = process.cwd();
     process.chdir(tempDir);
+    // Mark the temp dir as a repository root so config searches stop there
+    fs.mkdirSync(path.join(tempDir, '.git'));
   });
 
   afterEach(() => {
@@ -156,6 +170,89 @@ describe('Config', () => {
     });
   });
 
+  describe('ignore files', () => {
+    it('should skip files matched by .gitignore', () => {
+      write('.gitignore', '# build output\n*.log\n/generated/\nvendor\n');
+      const config = new Config();
+
+      expect(config.shouldIgnoreFile('debug.log')).toBe(true);
+      expect(config.shouldIgnoreFile('src/deep/debug.log')).toBe(true);
+      expect(config.shouldIgnoreDirectory('generated')).toBe(true);
+      expect(config.shouldIgnoreDirectory('src/generated')).toBe(false);
+      expect(config.shouldIgnoreFile('src/vendor/lib.js')).toBe(true);
+      expect(config.shouldIgnoreFile('src/index.js')).toBe(false);
+    });
+
+    it('should apply nested .gitignore files relative to their directory', () => {
+      write('.gitignore', '*.tmp\n');
+      write('packages/web/.gitignore', '/out/\n!keep.tmp\n');
+      const config = new Config();
+
+      expect(config.shouldIgnoreDirectory('packages/web/out')).toBe(true);
+      expect(config.shouldIgnoreDirectory('out')).toBe(false);
+      expect(config.shouldIgnoreFile('packages/web/src/keep.tmp')).toBe(false);
+      expect(config.shouldIgnoreFile('keep.tmp')).toBe(true);
+      expect(config.shouldIgnoreFile('packages/web/other.tmp')).toBe(true);
+    });
+
+    it('should let .emoji-linterignore re-include what .gitignore excludes', () => {
+      write('.gitignore', 'generated/\nscratch/\n');
+      write('.emoji-linterignore', '!generated/\nfixtures/\n');
+      const config = new Config();
+
+      expect(config.shouldIgnoreDirectory('generated')).toBe(false);
+      expect(config.shouldIgnoreFile('generated/messages.js')).toBe(false);
+      expect(config.shouldIgnoreDirectory('scratch')).toBe(true);
+      expect(config.shouldIgnoreFile('test/fixtures/emoji.txt')).toBe(true);
+    });
+
+    it('should not re-include files inside an excluded directory', () => {
+      write('.gitignore', 'logs/\n!logs/keep.txt\n');
+      const config = new Config();
+
+      expect(config.shouldIgnoreFile('logs/keep.txt')).toBe(true);
+    });
+
+    it('should read patterns from --ignore-path relative to the working directory', () => {
+      write('ci/lint-ignore', 'legacy/**\n');
+      write('.gitignore', '!legacy/keep.js\n');
+      const config = new Config();
+      config.setIgnorePath('ci/lint-ignore');
+
+      expect(config.shouldIgnoreFile('legacy/old.js')).toBe(true);
+      expect(config.shouldIgnoreFile('legacy/keep.js')).toBe(false);
+      expect(config.shouldIgnoreFile('ci/legacy/old.js')).toBe(false);
+      expect(() => config.setIgnorePath('missing-ignore')).toThrow('Cannot read ignore file: missing-ignore');
+    });
+
+    it('should apply --ignore-path patterns to repositories below the working directory', () => {
+      fs.mkdirSync(path.join(tempDir, 'p1/.git'), { recursive: true });
+      write('lint-ignore', 'docs/\n/p1/generated/\np1/src/**/*.gen.js\nother/src/\n');
+      const config = new Config();
+      config.setIgnorePath('lint-ignore');
+
+      expect(config.shouldIgnoreFile('p1/docs/guide.md')).toBe(true);
+      expect(config.shouldIgnoreFile('p1/src/docs/guide.md')).toBe(true);
+      expect(config.shouldIgnoreFile('p1/generated/out.js')).toBe(true);
+      expect(config.shouldIgnoreFile('p1/src/generated/out.js')).toBe(false);
+      expect(config.shouldIgnoreFile('p1/src/deep/api.gen.js')).toBe(true);
+      expect(config.shouldIgnoreFile('p1/other/src/index.js')).toBe(false);
+    });
+
+    it('should apply the default patterns to directories outside the working directory', () => {
+      write('proj/node_modules/pkg/index.js', '');
+      write('proj/src/app.js', '');
+      fs.mkdirSync(path.join(tempDir, 'work'));
+      process.chdir(path.join(tempDir, 'work'));
+      const config = new Config();
+
+      expect(config.shouldIgnoreDirectory('../proj/node_modules')).toBe(true);
+      expect(config.shouldIgnoreFile('../proj/node_modules/pkg/index.js')).toBe(true);
+      expect(config.shouldIgnoreFile(path.join(tempDir, 'proj/dist/app.js'))).toBe(true);
+      expect(config.shouldIgnoreFile('../proj/src/app.js')).toBe(false);
+    });
+  });
+
   describe('shouldIgnoreEmoji', () => {
     it('should return true for emojis in ignore list', () => {
       const configPath = path.join(tempDir, 'emoji-ignore.json');
@@ -190,6 +287,115 @@ describe('Config', () => {
       const config = new Config(configPath);
       expect(config.shouldIgnoreEmoji('😀')).toBe(false);
     });
+
+    it('should match shortcodes and ignore variation selectors', () => {
+      fs.writeFileSync('config.json', JSON.stringify({ ignore: { emojis: [':rocket:', '⚠', 'flags'] } }));
+      const config = new Config('config.json');
+
+      expect(config.shouldIgnoreEmoji('🚀')).toBe(true);
+      expect(config.shouldIgnoreEmoji(':rocket:')).toBe(true);
+      expect(config.shouldIgnoreEmoji('⚠️')).toBe(true);
+      expect(config.shouldIgnoreEmoji({ emoji: ':warning:', unicode: '⚠️', group: 'Symbols' })).toBe(true);
+      expect(config.shouldIgnoreEmoji('🇺🇸')).toBe(true);
+      expect(config.shouldIgnoreEmoji('🔥')).toBe(false);
+    });
+  });
+
+  describe('getDetectionOptions', () => {
+    it('should disable shortcode detection by default', () => {
+      const config = new Config();
+      expect(config.getDetectionOptions().shortcodes).toBe(false);
+    });
+
+    it('should enable shortcode detection from config', () => {
+      const configPath = path.join(tempDir, 'shortcodes.json');
+      fs.writeFileSync(configPath, JSON.stringify({ detection: { shortcodes: true } }));
+      const config = new Config(configPath);
+      expect(config.getDetectionOptions().shortcodes).toBe(true);
+    });
+  });
+
+  describe('getDirectiveOptions', () => {
+    it('should not report directive problems by default', () => {
+      const config = new Config();
+      expect(config.getDirectiveOptions()).toEqual({ reportUnused: false, requireJustification: false });
+    });
+
+    it('should read directive options from config', () => {
+      const configPath = path.join(tempDir, 'directives.json');
+      fs.writeFileSync(configPath, JSON.stringify({ directives: { reportUnused: true } }));
+      const config = new Config(configPath);
+      expect(config.getDirectiveOptions()).toEqual({ reportUnused: true, requireJustification: false });
+    });
+  });
+
+  describe('getCleanupOptions', () => {
+    it('should tidy whitespace by default', () => {
+      const config = new Config();
+      expect(config.getCleanupOptions().preserveWhitespace).toBe(false);
+    });
+
+    it('should read preserveWhitespace from config', () => {
+      const configPath = path.join(tempDir, 'cleanup.json');
+      fs.writeFileSync(configPath, JSON.stringify({ cleanup: { preserveWhitespace: true } }));
+      const config = new Config(configPath);
+      expect(config.getCleanupOptions().preserveWhitespace).toBe(true);
+    });
+
+    it('should remove emojis unless a strategy is configured', () => {
+      const config = new Config();
+      expect(config.getCleanupOptions().strategy).toBe('remove');
+      expect(config.getCleanupOptions().replacements).toEqual({});
+    });
+
+    it('should read strategy and replacements from config', () => {
+      const configPath = path.join(tempDir, 'replacements.json');
+      fs.writeFileSync(configPath, JSON.stringify({
+        cleanup: { strategy: 'shortcode', replacements: { '✅': '[x]' } }
+      }));
+      const config = new Config(configPath);
+      expect(config.getCleanupOptions()).toMatchObject({
+        preserveWhitespace: false,
+        strategy: 'shortcode',
+        replacements: { '✅': '[x]' }
+      });
+    });
+  });
+
+  describe('getRuleSeverity', () => {
+    const rocket = { emoji: '🚀', unicode: '🚀', group: 'Travel & Places' };
+    const car = { emoji: '🚗', unicode: '🚗', group: 'Travel & Places' };
+    const smile = { emoji: ':smile:', unicode: '😄', group: 'Smileys & Emotion' };
+
+    it('should default to error', () => {
+      expect(new Config().getRuleSeverity(rocket)).toBe('error');
+    });
+
+    it('should prefer emoji rules over category rules over the default', () => {
+      fs.writeFileSync('config.json', JSON.stringify({
+        rules: { default: 'warn', travel: 'off', '🚀': 'error', ':smile:': 'off' }
+      }));
+      const config = new Config('config.json');
+
+      expect(config.getRuleSeverity(rocket)).toBe('error');
+      expect(config.getRuleSeverity(car)).toBe('off');
+      expect(config.getRuleSeverity(smile)).toBe('off');
+      expect(config.getRuleSeverity({ emoji: '🐶', group: 'Animals & Nature' })).toBe('warn');
+    });
+
+    it('should reject unknown severities and categories', () => {
+      fs.writeFileSync('config.json', JSON.stringify({
+        rules: { flag: 'off', '🚀': 'eror' },
+        overrides: [{ files: ['docs/**'], rules: { smiley: 'warn' } }]
+      }));
+
+      expect(() => new Config('config.json')).toThrow(
+        'Invalid config file config.json:\n' +
+        '  - rules["🚀"]: must be one of "error", "warn", "off", got "eror" (did you mean "error"?)\n' +
+        '  - rules.flag: unknown category (did you mean "flags"?)\n' +
+        '  - overrides[0].rules.smiley: unknown category (did you mean "smileys"?)'
+      );
+    });
   });
 
   describe('shouldIgnoreLine', () => {
@@ -206,7 +412,7 @@ describe('Config', () => {
         'const text = "Test 🚀 rocket"; // emoji-linter-ignore-line',
         '  // emoji-linter-ignore-line',
         '/* emoji-linter-ignore-line */',
-        'test // emoji-linter-ignore-next-line'
+        'test // emoji-linter-disable-line'
       ];
 
       testCases.forEach(line => {
@@ -236,23 +442,423 @@ describe('Config', () => {
       expect(config.shouldIgnoreLine('<!-- emoji-linter-ignore-line -->')).toBe(true);
     });
 
-    it('should be case sensitive', () => {
-      // The implementation is case-sensitive - only lowercase works
-      expect(config.shouldIgnoreLine('test; // EMOJI-LINTER-IGNORE-LINE')).toBe(false);
+    it('should be case insensitive', () => {
+      expect(config.shouldIgnoreLine('test; // EMOJI-LINTER-IGNORE-LINE')).toBe(true);
       expect(config.shouldIgnoreLine('test; // emoji-linter-ignore-line')).toBe(true);
     });
+
+    it('should not ignore the line holding a next-line directive', () => {
+      expect(config.shouldIgnoreLine('test // emoji-linter-ignore-next-line')).toBe(false);
+    });
   });
 
 
+  describe('config discovery', () => {
+    it('should find the project config from a subdirectory', () => {
+      write('.emoji-linter.config.json', { output: { format: 'json' } });
+      fs.mkdirSync(path.join(tempDir, 'src'));
+      process.chdir(path.join(tempDir, 'src'));
+
+      expect(new Config().config.output.format).toBe('json');
+    });
+
+    it('should merge nested configs over the project config', () => {
+      write('.emoji-linter.config.json', { ignore: { emojis: ['✅'] }, detection: { shortcodes: true } });
+      write('docs/.emoji-linter.config.json', { ignore: { emojis: ['🚀'] }, cleanup: { strategy: 'name' } });
+      const config = new Config();
+
+      const docsConfig = config.forFile('docs/guide/intro.md');
+      expect(docsConfig.shouldIgnoreEmoji('🚀')).toBe(true);
+      expect(docsConfig.shouldIgnoreEmoji('✅')).toBe(false);
+      expect(docsConfig.getDetectionOptions().shortcodes).toBe(true);
+      expect(docsConfig.getCleanupOptions().strategy).toBe('name');
+
+      const srcConfig = config.forFile('src/index.js');
+      expect(srcConfig).toBe(config);
+      expect(srcConfig.shouldIgnoreEmoji('🚀')).toBe(false);
+    });
+
+    it('should stop searching at a config marked root', () => {
+      write('.emoji-linter.config.json', { ignore: { emojis: ['✅'] } });
+      write('packages/app/.emoji-linter.config.json', { root: true, output: { format: 'minimal' } });
+      const config = new Config().forFile('packages/app/index.js');
+
+      expect(config.shouldIgnoreEmoji('✅')).toBe(false);
+      expect(config.config.output.format).toBe('minimal');
+    });
+
+    it('should stop searching at the repository root', () => {
+      write('.emoji-linter.config.json', { output: { format: 'json' } });
+      fs.mkdirSync(path.join(tempDir, 'vendor/lib/.git'), { recursive: true });
+
+      expect(new Config().forFile('vendor/lib/index.js').config.output.format).toBe('table');
+    });
+
+    it('should resolve ignore patterns relative to their config file', () => {
+      write('.emoji-linter.config.json', { ignore: { files: ['build/**'] } });
+      write('docs/.emoji-linter.config.json', { ignore: { files: ['drafts/**', '/index.md'] } });
+      const config = new Config();
+
+      expect(config.shouldIgnoreFile('build/out.js')).toBe(true);
+      expect(config.shouldIgnoreFile('docs/build/page.md')).toBe(false);
+      expect(config.shouldIgnoreFile('docs/drafts/idea.md')).toBe(true);
+      expect(config.shouldIgnoreFile('drafts/idea.md')).toBe(false);
+      expect(config.shouldIgnoreFile('docs/index.md')).toBe(true);
+      expect(config.shouldIgnoreFile(path.join(tempDir, 'docs/guide/index.md'))).toBe(false);
+      expect(config.shouldIgnoreDirectory('docs/drafts')).toBe(true);
+    });
+
+    it('should keep default ignore patterns until a config sets its own', () => {
+      write('docs/.emoji-linter.config.json', { ignore: { emojis: ['🚀'] } });
+      const config = new Config();
+
+      expect(config.shouldIgnoreFile('docs/node_modules/pkg/index.js')).toBe(true);
+      expect(config.shouldIgnoreFile('docs/guide.md')).toBe(false);
+    });
+
+    it('should only load the given file when a config path is passed', () => {
+      write('docs/.emoji-linter.config.json', { ignore: { emojis: ['🚀'] } });
+      fs.writeFileSync('custom.json', JSON.stringify({ ignore: { files: ['docs/**'] } }));
+      const config = new Config('custom.json');
+
+      expect(config.forFile('docs/guide.md')).toBe(config);
+      expect(config.shouldIgnoreFile('docs/guide.md')).toBe(true);
+    });
+  });
+
+  describe('config formats', () => {
+    it.each([
+      ['.emoji-linter.config.js', "// Comments are fine here\nmodule.exports = { output: { format: 'json' } };"],
+      ['.emoji-linter.config.cjs', "module.exports = { output: { format: ['js', 'on'].join('') } };"],
+      ['.emoji-linter.yml', '# Comments too\noutput:\n  format: json\n'],
+      ['.emoji-linter.yaml', 'output: { format: json }\n'],
+      ['.emoji-linterrc', 'output:\n  format: json\n'],
+      ['.emoji-linterrc', '{ "output": { "format": "json" } }'],
+      ['package.json', '{ "name": "app", "emojiLinter": { "output": { "format": "json" } } }']
+    ])('should load %s', (filename, contents) => {
+      fs.writeFileSync(filename, contents);
+
+      expect(new Config().config.output.format).toBe('json');
+      expect(new Config(filename).config.output.format).toBe('json');
+    });
+
+    it('should skip a package.json without an emojiLinter key', () => {
+      fs.writeFileSync('package.json', '{ "name": "app" }');
+      fs.mkdirSync('sub');
+      fs.writeFileSync('sub/package.json', '{ "name": "sub" }');
+
+      const config = new Config();
+      expect(config.layers).toEqual([]);
+      expect(config.forFile('sub/index.js')).toBe(config);
+    });
+
+    it('should use the first config file in lookup order', () => {
+      fs.writeFileSync('package.json', '{ "emojiLinter": { "output": { "format": "minimal" } } }');
+      fs.writeFileSync('.emoji-linterrc', 'output:\n  format: table\n');
+      fs.writeFileSync('.emoji-linter.yml', 'output:\n  format: json\n');
+
+      expect(new Config().config.output.format).toBe('json');
+    });
+
+    it('should load ES module configs', () => {
+      /**
+       * Load the config of a directory in a plain Node process, since
+       * Jest's module system cannot require ES modules
+       * @param {string} dir - Directory relative to the temp dir
+       * @returns {string} Output format, or the error message
+       */
+      function loadFormat(dir) {
+        const script = `const { Config } = require(${JSON.stringify(require.resolve('../../../src/core/config'))});
+          try { console.log(new Config().config.output.format); } catch (error) { console.log(error.message); }`;
+        return execFileSync(process.execPath, ['-e', script], { cwd: path.join(tempDir, dir), encoding: 'utf8' }).trim();
+      }
+
+      write('mjs/.emoji-linter.config.mjs', "export default { output: { format: 'json' } };");
+      write('module/package.json', { type: 'module' });
+      write('module/.emoji-linter.config.js', "export default { output: { format: 'json' } };");
+      write('commonjs/package.json', { type: 'module' });
+      write('commonjs/.emoji-linter.config.js', "module.exports = { output: { format: 'json' } };");
+
+      expect(loadFormat('mjs')).toBe('json');
+      expect(loadFormat('module')).toBe('json');
+      expect(loadFormat('commonjs')).toMatch(/Invalid config file .*: .*rename it to \.cjs/);
+    });
+
+    it('should report YAML syntax errors as invalid config', () => {
+      fs.writeFileSync('.emoji-linter.yml', 'output: [unclosed\n');
+
+      expect(() => new Config()).toThrow('Invalid config file');
+    });
+  });
+
+  describe('overrides', () => {
+    /**
+     * Load a config with the given overrides from the temp dir
+     * @param {Array<Object>} overrides - Override entries
+     * @param {Object} [base] - Other top-level settings
+     * @returns {Config} Loaded config
+     */
+    function load(overrides, base = {}) {
+      fs.writeFileSync('config.json', JSON.stringify({ ...base, overrides }));
+      return new Config('config.json');
+    }
+
+    it('should apply the settings of matching overrides', () => {
+      const config = load([
+        { files: ['docs/**'], ignore: { emojis: ['✅', '❌'] }, cleanup: { strategy: 'name' } },
+        { files: ['src/**'], ignore: { emojis: [] }, severity: 'warn', max: 2 }
+      ], { ignore: { emojis: ['🚀'] } });
+
+      expect(config.shouldIgnoreEmoji('✅', 'docs/guide.md')).toBe(true);
+      expect(config.shouldIgnoreEmoji('🚀', 'docs/guide.md')).toBe(false);
+      expect(config.forFile('docs/guide.md').getCleanupOptions().strategy).toBe('name');
+      expect(config.shouldIgnoreEmoji('🚀', 'src/index.js')).toBe(false);
+      expect(config.forFile('src/index.js').getFileOptions()).toEqual({ severity: 'warn', max: 2 });
+      expect(config.shouldIgnoreEmoji('🚀', 'test/index.js')).toBe(true);
+      expect(config.forFile('test/index.js')).toBe(config);
+      expect(config.getFileOptions()).toEqual({ severity: 'error', max: null });
+    });
+
+    it('should skip files matching excludedFiles', () => {
+      const config = load([{ files: ['docs/**'], excludedFiles: ['docs/api/**'], severity: 'off' }]);
+
+      expect(config.forFile('docs/guide.md').getFileOptions().severity).toBe('off');
+      expect(config.forFile('docs/api/index.md').getFileOptions().severity).toBe('error');
+    });
+
+    it('should let later overrides win', () => {
+      const config = load([
+        { files: ['*.md'], severity: 'warn', max: 5 },
+        { files: ['CHANGELOG.md'], severity: 'off' }
+      ]);
+
+      expect(config.forFile('docs/CHANGELOG.md').getFileOptions()).toEqual({ severity: 'off', max: 5 });
+    });
+
+    it('should allow whole categories', () => {
+      const config = load([{
+        files: ['locales/**/*.json'],
+        ignore: { emojis: ['smileys', 'people', 'animals', 'food', 'travel', 'activities', 'objects', 'symbols'] }
+      }]);
+
+      expect(config.shouldIgnoreEmoji('😀', 'locales/en/app.json')).toBe(true);
+      expect(config.shouldIgnoreEmoji('✅', 'locales/en/app.json')).toBe(true);
+      expect(config.shouldIgnoreEmoji('🇺🇸', 'locales/en/app.json')).toBe(false);
+      expect(config.shouldIgnoreEmoji('😀', 'locales/README.md')).toBe(false);
+    });
+
+    it('should match globs relative to the config that declares them', () => {
+      fs.mkdirSync('packages/web', { recursive: true });
+      fs.writeFileSync('packages/web/.emoji-linter.config.json',
+        JSON.stringify({ overrides: [{ files: ['src/**'], severity: 'warn' }] }));
+      const config = new Config();
+
+      expect(config.forFile('packages/web/src/app.js').getFileOptions().severity).toBe('warn');
+      expect(config.forFile('src/app.js').getFileOptions().severity).toBe('error');
+    });
+
+    it('should let a nested config win over the overrides of the configs above it', () => {
+      write('.emoji-linter.config.json', {
+        overrides: [{ files: ['docs/**'], ignore: { emojis: ['✅'] }, cleanup: { strategy: 'name' } }]
+      });
+      write('docs/.emoji-linter.config.json', { ignore: { emojis: ['🚀'] } });
+      const config = new Config();
+
+      expect(config.shouldIgnoreEmoji('🚀', 'docs/guide.md')).toBe(true);
+      expect(config.shouldIgnoreEmoji('✅', 'docs/guide.md')).toBe(false);
+      expect(config.forFile('docs/guide.md').getCleanupOptions().strategy).toBe('name');
+    });
+
+    it('should require files in each override', () => {
+      expect(() => load([{ severity: 'warn' }])).toThrow('overrides[0].files: missing required key');
+    });
+  });
+
+  describe('extends', () => {
+    it('should merge a config over the files it extends', () => {
+      write('base.json', {
+        ignore: { emojis: ['✅'] },
+        detection: { shortcodes: true, escapes: true },
+        cleanup: { replacements: { '✅': '[x]' } }
+      });
+      write('config.json', {
+        extends: './base.json',
+        ignore: { emojis: ['❌', '✅'] },
+        detection: { escapes: false },
+        cleanup: { replacements: { '❌': '[ ]' } }
+      });
+      const config = new Config('config.json');
+
+      expect(config.config.ignore.emojis).toEqual(['✅', '❌']);
+      expect(config.getDetectionOptions()).toMatchObject({ shortcodes: true, escapes: false });
+      expect(config.getCleanupOptions().replacements).toEqual({ '✅': '[x]', '❌': '[ ]' });
+    });
+
+    it('should apply built-in presets', () => {
+      write('config.json', { extends: 'emoji-linter:strict' });
+      const config = new Config('config.json');
+
+      expect(config.getDetectionOptions()).toEqual({ shortcodes: true, escapes: true, textPresentation: 'error' });
+      expect(config.getDirectiveOptions()).toEqual({ reportUnused: true, requireJustification: true });
+    });
+
+    it('should apply overrides from presets', () => {
+      write('config.json', { extends: ['emoji-linter:docs-friendly'] });
+      const config = new Config('config.json');
+
+      expect(config.getDirectiveOptions().reportUnused).toBe(true);
+      expect(config.shouldIgnoreEmoji('✅', 'docs/guide.md')).toBe(true);
+      expect(config.forFile('README.md').getFileOptions().severity).toBe('warn');
+      expect(config.shouldIgnoreEmoji('✅', 'src/index.js')).toBe(false);
+    });
+
+    it('should resolve packages from node_modules', () => {
+      write('node_modules/@org/emoji-linter-config/package.json', { name: '@org/emoji-linter-config', main: 'config.json' });
+      write('node_modules/@org/emoji-linter-config/config.json', {
+        extends: ['emoji-linter:recommended', './extra.json']
+      });
+      write('node_modules/@org/emoji-linter-config/extra.json', { ignore: { emojis: ['🚀'] } });
+      write('config.json', { extends: '@org/emoji-linter-config' });
+      const config = new Config('config.json');
+
+      expect(config.getDetectionOptions().textPresentation).toBe('warn');
+      expect(config.shouldIgnoreEmoji('🚀')).toBe(true);
+    });
+
+    it('should detect cycles', () => {
+      write('a.json', { extends: './b.json' });
+      write('b.json', { extends: ['./a.json'] });
+
+      expect(() => new Config('a.json')).toThrow('Circular extends: a.json -> b.json -> a.json');
+    });
+
+    it('should report unknown presets and missing configs', () => {
+      write('preset.json', { extends: 'emoji-linter:recomended' });
+      write('missing.json', { extends: ['@org/not-installed'] });
+
+      expect(() => new Config('preset.json')).toThrow(
+        'Unknown preset "emoji-linter:recomended" in preset.json (did you mean "emoji-linter:recommended"?)'
+      );
+      expect(() => new Config('missing.json')).toThrow('Cannot find config "@org/not-installed" extended by missing.json');
+    });
+
+    it('should validate extended configs', () => {
+      write('base.json', { output: { format: 'jsn' } });
+      write('config.json', { extends: './base.json' });
+
+      expect(() => new Config('config.json')).toThrow('Invalid config file base.json');
+    });
+  });
+
+  describe('command line settings', () => {
+    it('should win over config files and overrides', () => {
+      fs.writeFileSync('config.json', JSON.stringify({
+        rules: { flags: 'off' },
+        overrides: [{ files: ['docs/**'], ignore: { emojis: ['✅'] }, rules: { '🚀': 'off' } }]
+      }));
+      const config = new Config('config.json');
+      config.setCliConfig({ allow: ['❌'], rules: { '🚀': 'warn' } });
+
+      const docs = config.forFile('docs/guide.md');
+      expect(docs.shouldIgnoreEmoji('✅')).toBe(true);
+      expect(docs.shouldIgnoreEmoji('❌')).toBe(true);
+      expect(docs.getRuleSeverity({ emoji: '🚀', unicode: '🚀' })).toBe('warn');
+      expect(config.getRuleSeverity({ emoji: '🇺🇸', group: 'Flags' })).toBe('off');
+    });
+
+    it('should skip files matching ignore patterns from the working directory', () => {
+      const config = new Config();
+      config.setCliConfig({ ignorePatterns: ['generated/', '*.min.js'] });
+
+      expect(config.shouldIgnoreFile('generated/api.js')).toBe(true);
+      expect(config.shouldIgnoreFile('src/app.min.js')).toBe(true);
+      expect(config.shouldIgnoreFile('src/app.js')).toBe(false);
+      expect(config.shouldIgnoreFile('node_modules/pkg/index.js')).toBe(true);
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => new Config().setCliConfig({ rules: { flag: 'off', '🚀': 'warning' } })).toThrow(
+        'Invalid --rule:\n' +
+        '  - rules["🚀"]: must be one of "error", "warn", "off", got "warning"\n' +
+        '  - rules.flag: unknown category (did you mean "flags"?)'
+      );
+    });
+
+    it('should ignore config files when given false', () => {
+      fs.writeFileSync('.emoji-linter.config.json', JSON.stringify({ ignore: { emojis: ['✅'] } }));
+      const config = new Config(false);
+
+      expect(config.shouldIgnoreEmoji('✅')).toBe(false);
+      expect(config.forFile('src/index.js')).toBe(config);
+    });
+  });
+
   describe('validation', () => {
-    it('should validate output config', () => {
-      // Current implementation doesn't validate formats
-      // This test should be removed or implementation should be added
-      const configPath = path.join(tempDir, 'invalid-format.json');
-      fs.writeFileSync(configPath, JSON.stringify({ output: { format: 'invalid-format' } }));
-      // Config doesn't validate format - it just uses whatever is provided
-      const config = new Config(configPath);
-      expect(config.config.output.format).toBe('invalid-format');
+    /**
+     * Load a config with the given contents and return the error it throws
+     * @param {Object} data - Config contents
+     * @returns {Error} Thrown error
+     */
+    function loadError(data) {
+      fs.writeFileSync('config.json', JSON.stringify(data));
+      try {
+        new Config('config.json');
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected config to be rejected');
+    }
+
+    it('should reject invalid enum values with a suggestion', () => {
+      const error = loadError({ output: { format: 'jsn' } });
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe(
+        'Invalid config file config.json:\n' +
+        '  - output.format: must be one of "table", "json", "minimal", got "jsn" (did you mean "json"?)'
+      );
+    });
+
+    it('should reject unknown keys with the closest known key', () => {
+      const error = loadError({ ignores: { files: [] }, detection: { shortcode: true } });
+
+      expect(error.problems).toEqual([
+        { path: 'ignores', message: 'unknown key', suggestion: 'did you mean "ignore"?' },
+        { path: 'detection.shortcode', message: 'unknown key', suggestion: 'did you mean "shortcodes"?' }
+      ]);
+    });
+
+    it('should reject wrong types with their JSON path', () => {
+      const error = loadError({
+        ignore: { files: 'README.md', emojis: ['✅', 1] },
+        directives: { reportUnused: 'true' }
+      });
+
+      expect(error.message.split('\n').slice(1)).toEqual([
+        '  - ignore.files: expected array, got string (wrap it in a list: ["README.md"])',
+        '  - ignore.emojis[1]: expected string, got integer',
+        '  - directives.reportUnused: expected boolean, got string (drop the quotes: true)'
+      ]);
+    });
+
+    it('should validate discovered config files', () => {
+      fs.writeFileSync('.emoji-linter.yml', 'cleanup:\n  strategy: shortcodes\n');
+
+      expect(() => new Config()).toThrow(
+        'cleanup.strategy: must be one of "remove", "shortcode", "name", "escape", got "shortcodes" (did you mean "shortcode"?)'
+      );
+    });
+
+    it('should accept a $schema reference and root flag', () => {
+      fs.writeFileSync('config.json', JSON.stringify({ $schema: './schema.json', root: true }));
+
+      expect(() => new Config('config.json')).not.toThrow();
+    });
+
+    it('should report where JSON fails to parse', () => {
+      fs.writeFileSync('config.json', '{\n  "output": {\n    "format": "json",\n  }\n}');
+
+      expect(() => new Config('config.json')).toThrow(/^Invalid config file config\.json: .* \(line 4, column 3\)$/);
     });
   });
 
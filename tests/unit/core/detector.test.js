@@ -58,19 +58,40 @@ describe('Emoji Detection Functions', () => {
 
     test('should detect emoji sequences with ZWJ', () => {
       const result = findEmojis('Developer 👨‍💻 working');
-      // Our simplified regex detects these as separate emojis
-      expect(result.length).toBeGreaterThanOrEqual(1);
+      expect(result).toHaveLength(1);
+      expect(result[0].emoji).toBe('👨‍💻');
       expect(result[0].type).toBe('unicode');
     });
 
     test('should detect emojis with skin tone modifiers', () => {
       const result = findEmojis('Wave 👋🏽 hello');
-      // Our simplified regex detects these separately
-      expect(result.length).toBeGreaterThanOrEqual(1);
-      expect(result[0].emoji).toBe('👋');
+      expect(result).toHaveLength(1);
+      expect(result[0].emoji).toBe('👋🏽');
       expect(result[0].type).toBe('unicode');
     });
 
+    test('should report a family emoji once', () => {
+      const result = findEmojis('Family 👨‍👩‍👧‍👦 photo');
+      expect(result).toHaveLength(1);
+      expect(result[0].emoji).toBe('👨‍👩‍👧‍👦');
+    });
+
+    test('should include variation selectors in the match', () => {
+      const result = findEmojis('Careful ⚠️ here');
+      expect(result).toHaveLength(1);
+      expect(result[0].emoji).toBe('⚠️');
+    });
+
+    test('should detect subdivision flag tag sequences', () => {
+      const result = findEmojis('Go 🏴󠁧󠁢󠁳󠁣󠁴󠁿 team');
+      expect(result).toHaveLength(1);
+      expect(result[0].emoji).toBe('🏴󠁧󠁢󠁳󠁣󠁴󠁿');
+    });
+
+    test('should not match plain digits or symbols', () => {
+      expect(findEmojis('Version 1.2.3 # heading * item © 2024')).toEqual([]);
+    });
+
     test('should detect multiple emojis in text', () => {
       const result = findEmojis('Hello 👋 World 🌍');
       expect(result).toHaveLength(2);
@@ -86,6 +107,61 @@ describe('Emoji Detection Functions', () => {
       expect(result[1].lineNumber).toBe(2);
     });
 
+    test('should report distinct columns for repeated emojis on a line', () => {
+      const result = findEmojis('🚀 go 🚀');
+      expect(result).toHaveLength(2);
+      expect(result[0].columnNumber).toBe(1);
+      expect(result[1].columnNumber).toBe(7);
+    });
+
+    test('should report end positions in UTF-16 units', () => {
+      const result = findEmojis('Hi 👨‍💻 there');
+      expect(result[0]).toMatchObject({
+        lineNumber: 1,
+        columnNumber: 4,
+        endLineNumber: 1,
+        endColumnNumber: 9
+      });
+    });
+
+    test('should report absolute UTF-16, code point and byte offsets', () => {
+      const text = 'é\nab 🚀 ✨';
+      const result = findEmojis(text);
+      expect(result).toHaveLength(2);
+      expect(result[0].offsets).toEqual({
+        utf16: [5, 7],
+        codePoint: [5, 6],
+        byte: [6, 10]
+      });
+      expect(result[1].offsets).toEqual({
+        utf16: [8, 9],
+        codePoint: [7, 8],
+        byte: [11, 14]
+      });
+
+      for (const match of result) {
+        expect(text.slice(...match.offsets.utf16)).toBe(match.emoji);
+        expect([...text].slice(...match.offsets.codePoint).join('')).toBe(match.emoji);
+        expect(Buffer.from(text).subarray(...match.offsets.byte).toString()).toBe(match.emoji);
+      }
+    });
+
+    test('should attach emoji metadata to every match', () => {
+      const result = findEmojis('Launch 🚀');
+      expect(result[0]).toMatchObject({
+        codePoints: 'U+1F680',
+        name: 'rocket',
+        group: 'Travel & Places',
+        subgroup: 'transport-air',
+        emojiVersion: '0.6'
+      });
+    });
+
+    test('should describe shortcodes by the emoji they stand for', () => {
+      const result = findEmojis(':tada:', { shortcodes: true });
+      expect(result[0]).toMatchObject({ codePoints: 'U+1F389', name: 'party popper' });
+    });
+
     test('should handle empty strings', () => {
       const result = findEmojis('');
       expect(result).toEqual([]);
@@ -115,6 +191,132 @@ describe('Emoji Detection Functions', () => {
     });
   });
 
+  describe('shortcode detection', () => {
+    test('should ignore shortcodes unless enabled', () => {
+      expect(findEmojis('Ship it :rocket:')).toEqual([]);
+      expect(hasEmojis(':rocket:')).toBe(false);
+    });
+
+    test('should detect known shortcodes as a separate type', () => {
+      const result = findEmojis('Ship it :rocket: now', { shortcodes: true });
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({
+        emoji: ':rocket:',
+        unicode: '🚀',
+        type: 'shortcode',
+        lineNumber: 1,
+        columnNumber: 9,
+        endColumnNumber: 17
+      });
+    });
+
+    test('should ignore unknown names and colons in plain text', () => {
+      const result = findEmojis('time 10:30:00 and :not_an_emoji_name: here', { shortcodes: true });
+      expect(result).toEqual([]);
+    });
+
+    test('should find a shortcode right after an unknown one', () => {
+      const result = findEmojis(':nope:tada:', { shortcodes: true });
+      expect(result).toHaveLength(1);
+      expect(result[0].emoji).toBe(':tada:');
+      expect(result[0].columnNumber).toBe(6);
+    });
+
+    test('should order shortcode and unicode matches by position', () => {
+      const result = findEmojis('🚀 :tada: ✨', { shortcodes: true });
+      expect(result.map(m => m.type)).toEqual(['unicode', 'shortcode', 'unicode']);
+    });
+
+    test('should remove shortcodes when enabled', () => {
+      expect(removeEmojis(':warning: Do not edit :+1:', { shortcodes: true })).toBe(' Do not edit ');
+      expect(removeEmojis(':warning: Do not edit')).toBe(':warning: Do not edit');
+    });
+
+    test('should report shortcodes from hasEmojis when enabled', () => {
+      expect(hasEmojis('Done :white_check_mark:', { shortcodes: true })).toBe(true);
+    });
+  });
+
+  describe('escaped emoji detection', () => {
+    const options = { escapes: true };
+
+    test('should ignore escapes unless enabled', () => {
+      expect(findEmojis('const s = "\\u{1F680}";')).toEqual([]);
+      expect(hasEmojis('&#x1F680;')).toBe(false);
+    });
+
+    test.each([
+      ['JS code point escape', '\\u{1F680}'],
+      ['JS surrogate pair', '\\uD83D\\uDE80'],
+      ['Python escape', '\\U0001F680'],
+      ['HTML hex entity', '&#x1F680;'],
+      ['HTML decimal entity', '&#128640;'],
+      ['CSS escape', '\\1F680']
+    ])('should detect %s', (_name, escape) => {
+      const result = findEmojis(`x = "${escape}"`, options);
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({
+        emoji: escape,
+        unicode: '🚀',
+        type: 'escaped',
+        columnNumber: 6,
+        endColumnNumber: 6 + escape.length
+      });
+    });
+
+    test('should decode adjacent escapes as one sequence', () => {
+      const result = findEmojis('"\\u{1F468}\\u200D\\u{1F4BB}"', options);
+      expect(result).toHaveLength(1);
+      expect(result[0].unicode).toBe('👨‍💻');
+      expect(result[0].emoji).toBe('\\u{1F468}\\u200D\\u{1F4BB}');
+    });
+
+    test('should ignore escapes that decode to non-emoji characters', () => {
+      expect(findEmojis('"\\u00e9" &#x41; &#169; \\u{110000}', options)).toEqual([]);
+    });
+
+    test('should ignore escaped backslashes', () => {
+      expect(findEmojis('"\\\\u{1F680}"', options)).toEqual([]);
+    });
+
+    test('should remove the whole escaped span', () => {
+      expect(removeEmojis('a "\\u{1F680}" b &#x2728; c', options)).toBe('a "" b  c');
+      expect(removeEmojis(`content: '\\2728 x';`, options)).toBe(`content: 'x';`);
+    });
+
+    test('should report escapes from hasEmojis when enabled', () => {
+      expect(hasEmojis('&#128640;', options)).toBe(true);
+    });
+  });
+
+  describe('presentation handling', () => {
+    test('should not match typographic symbols without the Emoji property', () => {
+      expect(findEmojis('✓ done ★ star ☐ todo ✗ no')).toEqual([]);
+    });
+
+    test('should mark default-text symbols as text presentation', () => {
+      const result = findEmojis('♥ ✔ ☀');
+      expect(result.map(m => m.presentation)).toEqual(['text', 'text', 'text']);
+    });
+
+    test('should treat VS16 as emoji presentation and VS15 as text', () => {
+      const result = findEmojis('♥️ ☀︎ ✨ ✨︎');
+      expect(result.map(m => [m.emoji, m.presentation])).toEqual([
+        ['♥️', 'emoji'],
+        ['☀︎', 'text'],
+        ['✨', 'emoji'],
+        ['✨︎', 'text']
+      ]);
+    });
+
+    test('should skip text presentation when textPresentation is off', () => {
+      const options = { textPresentation: 'off' };
+      expect(findEmojis('♥ ♥️', options).map(m => m.emoji)).toEqual(['♥️']);
+      expect(removeEmojis('♥ ♥️', options)).toBe('♥ ');
+      expect(hasEmojis('♥ ✔', options)).toBe(false);
+    });
+  });
+
   describe('removeEmojis method', () => {
     test('should remove Unicode emojis', () => {
       const result = removeEmojis('Hello ✨ world 🚀');
@@ -125,28 +327,27 @@ describe('Emoji Detection Functions', () => {
 
     test('should remove emoji sequences', () => {
       const result = removeEmojis('Developer 👨‍💻 working');
-      // Our simplified regex may leave zero-width joiners
-      const cleaned = result.replace(/\s+/g, ' ');
-      expect(cleaned.includes('Developer') && cleaned.includes('working')).toBe(true);
+      expect(result).toBe('Developer  working');
     });
 
     test('should remove emojis with skin tones', () => {
       const result = removeEmojis('Wave 👋🏽 hello');
-      // Should at least remove the base emoji
-      expect(result.includes('👋')).toBe(false);
+      expect(result).toBe('Wave  hello');
     });
 
     test('should remove flag emojis', () => {
       const result = removeEmojis('Country 🇺🇸 flag');
-      // Our regex may not catch all flag sequences
-      const cleaned = result.replace(/\s+/g, ' ');
-      expect(cleaned.includes('Country') && cleaned.includes('flag')).toBe(true);
+      expect(result).toBe('Country  flag');
     });
 
     test('should remove keycap sequences', () => {
       const result = removeEmojis('Number 1️⃣ first');
-      // Our regex may not catch keycap sequences fully
-      expect(result.includes('Number') && result.includes('first')).toBe(true);
+      expect(result).toBe('Number  first');
+    });
+
+    test('should not leave variation selectors or joiners behind', () => {
+      const result = removeEmojis('⚠️ 🏳️‍🌈 ❤️‍🔥');
+      expect(result).toBe('  ');
     });
 
     test('should remove all emoji types in mixed text', () => {
@@ -297,35 +498,33 @@ describe('Emoji Detection Functions', () => {
     test('should detect skin tone emojis from test data', () => {
       TEST_DATA.SKIN_TONES.forEach(emoji => {
         const result = findEmojis(emoji);
-        // Simplified regex detects base emoji
-        expect(result.length).toBeGreaterThanOrEqual(1);
+        expect(result).toHaveLength(1);
+        expect(result[0].emoji).toBe(emoji);
       });
     });
 
     test('should detect sequence emojis from test data', () => {
       TEST_DATA.SEQUENCES.forEach(emoji => {
         const result = findEmojis(emoji);
-        // Simplified regex may detect components separately
-        expect(result.length).toBeGreaterThanOrEqual(1);
+        expect(result).toHaveLength(1);
+        expect(result[0].emoji).toBe(emoji);
       });
     });
 
     test('should detect flag emojis from test data', () => {
       TEST_DATA.FLAGS.forEach(emoji => {
         const result = findEmojis(emoji);
-        // Simplified regex may not detect all flag combinations
-        if (result.length > 0) {
-          expect(result[0].type).toBe('unicode');
-        }
+        expect(result).toHaveLength(1);
+        expect(result[0].emoji).toBe(emoji);
+        expect(result[0].type).toBe('unicode');
       });
     });
 
     test('should detect keycap emojis from test data', () => {
       TEST_DATA.KEYCAPS.forEach(emoji => {
         const result = findEmojis(emoji);
-        // Simplified regex may not detect keycap sequences
-        // Just verify no errors occur
-        expect(result).toBeDefined();
+        expect(result).toHaveLength(1);
+        expect(result[0].emoji).toBe(emoji);
       });
     });
 
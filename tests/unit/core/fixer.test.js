@@ -0,0 +1,209 @@
+/**
+ * Tests for applying emoji removals and replacements
+ */
+
+const { fixMatches, removeMatches, escapeEmoji, getEdits } = require('../../../src/core/fixer');
+const { findEmojis } = require('../../../src/core/detector');
+
+/**
+ * Remove every detected emoji with whitespace cleanup enabled
+ * @param {string} text - Text to clean
+ * @returns {string} Cleaned text
+ */
+function clean(text) {
+  return removeMatches(text, findEmojis(text), { preserveWhitespace: false });
+}
+
+describe('Fixer', () => {
+  describe('removeMatches', () => {
+    test('returns text unchanged when there are no matches', () => {
+      expect(removeMatches('plain text', [])).toBe('plain text');
+    });
+
+    test('deletes only the matched characters by default', () => {
+      const text = 'Hello ✨ world 🚀';
+      expect(removeMatches(text, findEmojis(text))).toBe('Hello  world ');
+    });
+
+    test('removes only the given matches', () => {
+      const text = 'a 🚀 b 🔥 c';
+      const [, fire] = findEmojis(text);
+      expect(removeMatches(text, [fire])).toBe('a 🚀 b  c');
+    });
+  });
+
+  describe('whitespace cleanup', () => {
+    test.each([
+      ['Hello 🚀 world', 'Hello world'],
+      ['a 🚀 🔥 b', 'a b'],
+      ['🚀 Starting', 'Starting'],
+      ['console.log("🚀 Starting")', 'console.log("Starting")'],
+      ['console.log("Starting 🚀")', 'console.log("Starting")'],
+      ['Done ✅', 'Done'],
+      ['Done ✅.', 'Done.'],
+      ['// 🚀 note', '// note']
+    ])('cleans %j', (input, expected) => {
+      expect(clean(input)).toBe(expected);
+    });
+
+    test('keeps markdown list and heading markers', () => {
+      expect(clean('- ✅ Done')).toBe('- Done');
+      expect(clean('  * 🎉 Nested')).toBe('  * Nested');
+      expect(clean('# 🎉 Release')).toBe('# Release');
+      expect(clean('| ✅ | passed |')).toBe('| | passed |');
+    });
+
+    test('keeps markdown emphasis closed up', () => {
+      expect(clean('**🚀 Bold**')).toBe('**Bold**');
+      expect(clean('Ship it **🚀 now**, _done ✅_ and ~~🔥 old~~.')).toBe('Ship it **now**, _done_ and ~~old~~.');
+      expect(clean('- ✅ *Done*')).toBe('- *Done*');
+      expect(clean('2 * 🚀 3')).toBe('2 * 3');
+    });
+
+    test('drops lines that only contained emojis', () => {
+      expect(clean('before\n🚀\nafter')).toBe('before\nafter');
+      expect(clean('before\n  🎉 ✨  \nafter')).toBe('before\nafter');
+    });
+
+    test('keeps existing blank lines and indentation', () => {
+      expect(clean('a\n\n    b 🚀\n')).toBe('a\n\n    b\n');
+    });
+
+    test('preserves CRLF line endings', () => {
+      expect(clean('one 🚀\r\ntwo\r\n')).toBe('one\r\ntwo\r\n');
+    });
+
+    test('keeps trailing whitespace the line already had', () => {
+      expect(clean('text 🚀  ')).toBe('text ');
+    });
+  });
+
+  describe('fixMatches', () => {
+    /**
+     * Fix every detected emoji with the given options
+     * @param {string} text - Text to fix
+     * @param {Object} options - Fix options
+     * @returns {string} Fixed text
+     */
+    function fix(text, options) {
+      return fixMatches(text, findEmojis(text), { preserveWhitespace: false, ...options });
+    }
+
+    test('removes emojis by default', () => {
+      expect(fix('Done ✅')).toBe('Done');
+    });
+
+    test('replaces emojis with shortcodes', () => {
+      expect(fix('⚠️ Do not edit 🚀', { strategy: 'shortcode' })).toBe(':warning: Do not edit :rocket:');
+    });
+
+    test('falls back to the name when there is no shortcode', () => {
+      expect(fix('Hi 👋🏽', { strategy: 'shortcode' })).toBe('Hi [waving hand: medium skin tone]');
+    });
+
+    test('replaces emojis with CLDR names', () => {
+      expect(fix('⚠️ Do not edit', { strategy: 'name' })).toBe('[warning] Do not edit');
+    });
+
+    test('prefers the replacement table over the strategy', () => {
+      const options = { strategy: 'name', replacements: { '✅': '[x]', '⚠️': 'WARNING:' } };
+      expect(fix('✅ tests\n⚠ flaky 🚀', options)).toBe('[x] tests\nWARNING: flaky [rocket]');
+    });
+
+    test('removes emojis the table maps to an empty string', () => {
+      expect(fix('Done ✅ now', { strategy: 'name', replacements: { '✅': '' } })).toBe('Done now');
+    });
+
+    test('replaces shortcode matches with their mapped text', () => {
+      const text = 'Ship it :rocket:';
+      const matches = findEmojis(text, { shortcodes: true });
+      expect(fixMatches(text, matches, { replacements: { '🚀': 'LAUNCH' } })).toBe('Ship it LAUNCH');
+    });
+
+    test('uses the replacement a match carries', () => {
+      const text = 'a 🚀 b';
+      const [match] = findEmojis(text);
+      expect(fixMatches(text, [{ ...match, replacement: '*' }], { strategy: 'name' })).toBe('a * b');
+    });
+
+    test('removes matches that span lines', () => {
+      const text = 'a\n/* x\n */ b\nc';
+      const match = { emoji: '', lineNumber: 2, columnNumber: 1, endLineNumber: 3, endColumnNumber: 4, offsets: { utf16: [2, 10] } };
+      expect(fixMatches(text, [match], { preserveWhitespace: false })).toBe('a\nb\nc');
+      expect(fixMatches(text, [match])).toBe('a\n b\nc');
+    });
+
+    test('keeps surrounding whitespace when replacing', () => {
+      expect(fix('a 🚀 b', { strategy: 'name', preserveWhitespace: true })).toBe('a [rocket] b');
+    });
+  });
+
+  describe('escape strategy', () => {
+    /**
+     * Rewrite every detected emoji as an escape for the given file
+     * @param {string} text - Text to fix
+     * @param {string} filePath - File the text came from
+     * @returns {string} Fixed text
+     */
+    function escape(text, filePath) {
+      return fixMatches(text, findEmojis(text, { escapes: true }), { strategy: 'escape', filePath });
+    }
+
+    test.each([
+      ['app.ts', 'notify("🚀 shipped")', 'notify("\\u{1F680} shipped")'],
+      ['bot.py', 'msg = "✅ 🚀"', 'msg = "\\u2705 \\U0001F680"'],
+      ['page.html', '<p>🚀</p>', '<p>&#x1F680;</p>'],
+      ['data.json', '{"ok": "👍"}', '{"ok": "\\uD83D\\uDC4D"}'],
+      ['style.css', 'content: "🚀";', 'content: "\\1F680";'],
+      ['Gemfile', 'gem "🚀"', 'gem "\\u{1F680}"']
+    ])('uses the escape syntax of %s', (filePath, text, expected) => {
+      expect(escape(text, filePath)).toBe(expected);
+    });
+
+    test('escapes every code point of a sequence', () => {
+      expect(escape('"⚠️"', 'a.js')).toBe('"\\u{26A0}\\u{FE0F}"');
+    });
+
+    test('terminates CSS escapes followed by a space or hex digit', () => {
+      expect(escape('content: "🚀 go";', 'a.css')).toBe('content: "\\1F680  go";');
+      expect(escapeEmoji('🚀', 'css', 'A')).toBe('\\1F680 ');
+      expect(escapeEmoji('🚀', 'css', '"')).toBe('\\1F680');
+    });
+
+    test('leaves already escaped emojis unchanged', () => {
+      expect(escape('"\\u{1F680} 🚀"', 'a.js')).toBe('"\\u{1F680} \\u{1F680}"');
+    });
+
+    test.each([
+      ['JSX text and attributes', 'app.jsx', '<p title="🚀">🚀 Launch</p>;\nconst s = "🔥";', '<p title="🚀">🚀 Launch</p>;\nconst s = "\\u{1F525}";'],
+      ['JSX in .js files', 'app.js', 'return <p>Don\'t 🚀 {ok ? "🔥" : <b>🎉</b>}</p>;', 'return <p>Don\'t 🚀 {ok ? "\\u{1F525}" : <b>🎉</b>}</p>;'],
+      ['raw template literals', 'app.js', 'String.raw`🚀` + `${"🔥"} 🎉`', 'String.raw`🚀` + `${"\\u{1F525}"} \\u{1F389}`'],
+      ['regexes without the u flag', 'app.js', 'const a = /🚀+/; const b = /🔥/u;', 'const a = /🚀+/; const b = /\\u{1F525}/u;'],
+      ['comments', 'app.ts', 'const a = "🚀"; // 🔥', 'const a = "\\u{1F680}"; // 🔥'],
+      ['Python raw and bytes strings', 'bot.py', 'a = r"🚀"\nb = """\n🔥\n"""', 'a = r"🚀"\nb = """\n\\U0001F525\n"""'],
+      ['Go raw strings', 'main.go', 's := "🚀" + `🔥`', 's := "\\U0001F680" + `🔥`'],
+      ['Vue script blocks and interpolations', 'App.vue', '<p>🚀 {{ "🔥" }}</p>\n<script>\nconst a = "🎉";\n</script>', '<p>&#x1F680; {{ "🔥" }}</p>\n<script>\nconst a = "🎉";\n</script>'],
+      ['Markdown code', 'README.md', '# 🚀\n\n```js\nlog("🔥");\n```\n\n`🎉` ✅', '# &#x1F680;\n\n```js\nlog("🔥");\n```\n\n`🎉` &#x2705;'],
+      ['CSS comments', 'style.css', '/* 🚀 */ content: "🔥";', '/* 🚀 */ content: "\\1F525";']
+    ])('leaves emojis outside escape-processing text unchanged: %s', (description, filePath, text, expected) => {
+      expect(escape(text, filePath)).toBe(expected);
+    });
+
+    test('does not count emojis left outside escape-processing text as edits', () => {
+      const text = 'const a = /🚀/; const b = "🔥";';
+      const edits = getEdits(text, findEmojis(text), { strategy: 'escape', filePath: 'a.js' });
+      expect(edits.map(edit => edit.match.emoji)).toEqual(['🔥']);
+    });
+
+    test('leaves files without an escape syntax unchanged', () => {
+      expect(escape('notes 🚀', 'notes.txt')).toBe('notes 🚀');
+    });
+
+    test('does not count unchanged matches as edits', () => {
+      const text = '"\\u{1F680} 🚀"';
+      const edits = getEdits(text, findEmojis(text, { escapes: true }), { strategy: 'escape', filePath: 'a.js' });
+      expect(edits.map(edit => edit.replacement)).toEqual(['\\u{1F680}']);
+      expect(getEdits('notes 🚀', findEmojis('notes 🚀'), { strategy: 'escape', filePath: 'notes.txt' })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for scaffolding a config with init
+ */
+
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeProject, getSuggestions, buildConfig } = require('../../../src/core/init');
+const { Config } = require('../../../src/core/config');
+const { FileScanner } = require('../../../src/core/scanner');
+const { CLI } = require('../../../src/cli');
+
+describe('Init', () => {
+  let tempDir;
+  let originalCwd;
+
+  /**
+   * Write a file in the temp dir, creating its directories
+   * @param {string} relativePath - Path relative to the temp dir
+   * @param {string} content - File content
+   */
+  function write(relativePath, content) {
+    const filePath = path.join(tempDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-linter-init-'));
+    process.chdir(tempDir);
+    fs.mkdirSync(path.join(tempDir, '.git'));
+    write('docs/guide.md', '# Guide ✅\n- ❌ no\n- ✅ yes\n');
+    write('README.md', 'Ship it 🚀\n');
+    write('src/locales/en.json', '{ "hello": "👋" }\n');
+    write('out/bundle.js', 'log("🎉");\n');
+    write('dist/bundle.js', 'log("🔥");\n');
+    write('src/index.js', 'log("🐛");\n');
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Analyze the temp dir the way init does
+   * @returns {Promise<Object>} Analysis
+   */
+  function analyze() {
+    return analyzeProject(tempDir, new FileScanner(new Config(false)));
+  }
+
+  describe('analyzeProject', () => {
+    test('sorts files into docs, locales, generated output and code', async () => {
+      const analysis = await analyze();
+
+      expect(analysis.totalFiles).toBe(5);
+      expect(analysis.docs).toEqual({ directories: ['docs'], extensions: ['.md'], emojis: ['✅', '🚀', '❌'] });
+      expect(analysis.locales).toEqual({ directories: ['src/locales'], emojis: ['👋'] });
+      expect(analysis.generated).toEqual({ directories: ['out'], emojis: ['🎉'] });
+      expect(analysis.code).toEqual({ emojis: ['🐛'] });
+    });
+  });
+
+  describe('getSuggestions', () => {
+    test('suggests only what the project needs', async () => {
+      const analysis = await analyze();
+
+      expect(getSuggestions(analysis).map(suggestion => suggestion.id)).toEqual(['generated', 'docs', 'locales']);
+      expect(getSuggestions({
+        ...analysis,
+        generated: { directories: [], emojis: [] },
+        docs: { directories: ['docs'], extensions: [], emojis: [] }
+      }).map(suggestion => suggestion.id)).toEqual(['locales']);
+    });
+  });
+
+  describe('buildConfig', () => {
+    test('builds ignores and overrides for accepted suggestions', async () => {
+      const analysis = await analyze();
+
+      expect(buildConfig(analysis, ['generated', 'docs', 'locales'], ['**/node_modules/**'])).toEqual({
+        ignore: { files: ['**/node_modules/**', 'out/**'] },
+        overrides: [
+          { files: ['docs/**', '*.md'], ignore: { emojis: ['✅', '🚀', '❌'] } },
+          { files: ['src/locales/**'], severity: 'off' }
+        ]
+      });
+      expect(buildConfig(analysis, [], [])).toEqual({});
+    });
+  });
+
+  describe('init command', () => {
+    let cli;
+    let originalLog;
+
+    beforeEach(() => {
+      cli = new CLI();
+      originalLog = console.log;
+      console.log = jest.fn();
+    });
+
+    afterEach(() => {
+      console.log = originalLog;
+    });
+
+    test('writes a config that makes the docs and locales pass', async () => {
+      await cli.initMode([tempDir], { yes: true });
+
+      const configPath = path.join(tempDir, '.emoji-linter.config.json');
+      const written = fs.readFileSync(configPath, 'utf8');
+      expect(written).not.toMatch(/[^\x00-\x7F]/);
+      expect(JSON.parse(written).overrides[0].ignore.emojis).toEqual(['✅', '🚀', '❌']);
+
+      const config = new Config(configPath);
+      expect(config.shouldIgnoreFile(path.join(tempDir, 'out/bundle.js'))).toBe(true);
+      expect(config.shouldIgnoreEmoji('✅', path.join(tempDir, 'docs/guide.md'))).toBe(true);
+      expect(config.forFile(path.join(tempDir, 'src/locales/en.json')).getFileOptions().severity).toBe('off');
+      expect(config.shouldIgnoreEmoji('🐛', path.join(tempDir, 'src/index.js'))).toBe(false);
+    });
+
+    test('asks before applying each suggestion', async () => {
+      const questions = [];
+      jest.spyOn(cli, 'confirm').mockImplementation(async (answers, question) => {
+        questions.push(question);
+        return !question.startsWith('Skip');
+      });
+
+      await cli.initMode([tempDir], {});
+
+      expect(questions).toHaveLength(3);
+      const written = JSON.parse(fs.readFileSync(path.join(tempDir, '.emoji-linter.config.json'), 'utf8'));
+      expect(written.ignore).toBeUndefined();
+      expect(written.overrides).toHaveLength(2);
+    });
+
+    test('refuses to overwrite an existing config', async () => {
+      write('.emoji-linter.yml', 'ignore:\n  emojis: []\n');
+
+      await expect(cli.initMode([tempDir], { yes: true })).rejects.toThrow('Config file already exists');
+    });
+
+    test('refuses to shadow an emojiLinter key in package.json', async () => {
+      write('package.json', JSON.stringify({ name: 'app', emojiLinter: { ignore: { emojis: ['✅'] } } }));
+
+      await expect(cli.initMode([tempDir], { yes: true })).rejects.toThrow('Config file already exists: package.json');
+    });
+
+    test('writes a config next to a package.json without an emojiLinter key', async () => {
+      write('package.json', JSON.stringify({ name: 'app' }));
+      await cli.initMode([tempDir], { yes: true });
+
+      expect(fs.existsSync(path.join(tempDir, '.emoji-linter.config.json'))).toBe(true);
+    });
+  });
+});
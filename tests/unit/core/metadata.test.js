@@ -0,0 +1,68 @@
+/**
+ * Tests for emoji metadata lookup
+ */
+
+const { getEmojiMetadata, getShortcode, formatCodePoints } = require('../../../src/core/metadata');
+
+describe('Emoji Metadata', () => {
+  describe('formatCodePoints', () => {
+    test('formats single code points', () => {
+      expect(formatCodePoints('🚀')).toBe('U+1F680');
+      expect(formatCodePoints('✨')).toBe('U+2728');
+    });
+
+    test('formats sequences with padding', () => {
+      expect(formatCodePoints('1️⃣')).toBe('U+0031 U+FE0F U+20E3');
+      expect(formatCodePoints('👨‍💻')).toBe('U+1F468 U+200D U+1F4BB');
+    });
+  });
+
+  describe('getEmojiMetadata', () => {
+    test('returns CLDR name, group, subgroup and version', () => {
+      expect(getEmojiMetadata('🚀')).toEqual({
+        codePoints: 'U+1F680',
+        name: 'rocket',
+        group: 'Travel & Places',
+        subgroup: 'transport-air',
+        emojiVersion: '0.6'
+      });
+    });
+
+    test('resolves skin tone and ZWJ sequences', () => {
+      expect(getEmojiMetadata('👋🏽').name).toBe('waving hand: medium skin tone');
+      expect(getEmojiMetadata('🏳️‍🌈')).toMatchObject({ name: 'rainbow flag', group: 'Flags' });
+    });
+
+    test('resolves unqualified forms without VS16', () => {
+      expect(getEmojiMetadata('⚠').name).toBe('warning');
+      expect(getEmojiMetadata('⚠️').name).toBe('warning');
+      expect(getEmojiMetadata('⚠').codePoints).toBe('U+26A0');
+    });
+
+    test('returns null fields for unknown sequences', () => {
+      expect(getEmojiMetadata('🇦')).toEqual({
+        codePoints: 'U+1F1E6',
+        name: null,
+        group: null,
+        subgroup: null,
+        emojiVersion: null
+      });
+    });
+  });
+
+  describe('getShortcode', () => {
+    test('finds the shortcode for an emoji', () => {
+      expect(getShortcode('🚀')).toBe('rocket');
+      expect(getShortcode('👍')).toBe('+1');
+    });
+
+    test('ignores variation selectors', () => {
+      expect(getShortcode('⚠️')).toBe('warning');
+      expect(getShortcode('⚠')).toBe('warning');
+    });
+
+    test('returns null when the emoji has no shortcode', () => {
+      expect(getShortcode('👋🏽')).toBeNull();
+    });
+  });
+});
@@ -4,6 +4,7 @@
  */
 const fs = require('fs');
 const path = require('path');
+const { Readable } = require('stream');
 const { FileScanner } = require('../../../src/core/scanner');
 
 // Mock fs module
@@ -127,6 +128,40 @@ describe('FileScanner', () => {
     });
   });
 
+  describe('scanStdin', () => {
+    it('reads the whole stream as one result', async () => {
+      const results = [];
+      for await (const result of scanner.scanStdin('src/app.js', Readable.from(['const a = ', Buffer.from('"🚀";\n')]))) {
+        results.push(result);
+      }
+
+      expect(results).toEqual([{
+        filePath: 'src/app.js',
+        content: 'const a = "🚀";\n',
+        size: 18,
+        isTextFile: true,
+        isComplete: true,
+        error: null
+      }]);
+    });
+
+    it('reports stream errors as a failed result', async () => {
+      const stream = new Readable({
+        read() {
+          this.destroy(new Error('Read error'));
+        }
+      });
+
+      const results = [];
+      for await (const result of scanner.scanStdin(undefined, stream)) {
+        results.push(result);
+      }
+
+      expect(results[0].filePath).toBe('<stdin>');
+      expect(results[0].error.message).toBe('Read error');
+    });
+  });
+
   describe('scanDirectory', () => {
     it('scans directory recursively', async () => {
       const mockFiles = [
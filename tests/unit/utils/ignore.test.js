@@ -1,10 +1,17 @@
 const { 
+  parseDirectives,
+  findSuppressingDirective,
+  isInsideDirective,
+  findDirectiveProblems,
+  parseInlineConfig,
   shouldIgnoreLine, 
   shouldIgnoreFile, 
   parseIgnoreComments,
-  IGNORE_PATTERNS,
-  FILE_IGNORE_PATTERNS 
+  getLanguageSyntax,
+  LANGUAGE_SYNTAX,
+  DIRECTIVE_PATTERN
 } = require('../../../src/utils/ignore');
+const { LANGUAGES } = require('../../../src/core/languages');
 
 describe('Ignore Utils', () => {
   describe('shouldIgnoreLine', () => {
@@ -41,6 +48,14 @@ describe('Ignore Utils', () => {
       expect(shouldIgnoreLine('/* normal comment */')).toBe(false);
     });
 
+    it('should return false for directives that target the next line', () => {
+      expect(shouldIgnoreLine('const x = "😀"; // emoji-linter-disable-next-line')).toBe(false);
+    });
+
+    it('should return false for directive text inside strings', () => {
+      expect(shouldIgnoreLine('const x = "😀 // emoji-linter-disable-line";')).toBe(false);
+    });
+
     it('should handle non-string input', () => {
       expect(shouldIgnoreLine(null)).toBe(false);
       expect(shouldIgnoreLine(undefined)).toBe(false);
@@ -97,7 +112,25 @@ const c = "🚀"; /* emoji-linter-disable */
 const d = "❤️";`;
       
       const ignoredLines = parseIgnoreComments(content);
-      expect(ignoredLines).toEqual(new Set([2, 4]));
+      expect(ignoredLines).toEqual(new Set([2, 3, 4, 5]));
+    });
+
+    it('should end disable blocks at enable comments', () => {
+      const content = `const a = "😀";
+// emoji-linter-disable
+const b = "👍";
+// emoji-linter-enable
+const c = "🚀";`;
+
+      expect(parseIgnoreComments(content)).toEqual(new Set([2, 3]));
+    });
+
+    it('should ignore the line after disable-next-line comments', () => {
+      const content = `const a = "😀"; // emoji-linter-disable-next-line
+const b = "👍";
+const c = "🚀";`;
+
+      expect(parseIgnoreComments(content)).toEqual(new Set([2]));
     });
 
     it('should return empty set for content without ignore comments', () => {
@@ -116,21 +149,316 @@ const c = "🚀";`;
     });
   });
 
+  describe('parseDirectives', () => {
+    it('should parse every directive type with its range', () => {
+      const content = [
+        '// emoji-linter-disable-file',
+        'a // emoji-linter-disable-line',
+        '# emoji-linter-disable-next-line',
+        '<!-- emoji-linter-disable -->',
+        '/* emoji-linter-enable */'
+      ].join('\n');
+
+      expect(parseDirectives(content).map(({ type, lineNumber, range }) => [type, lineNumber, range])).toEqual([
+        ['disable-file', 1, [1, Infinity]],
+        ['disable-line', 2, [2, 2]],
+        ['disable-next-line', 3, [4, 4]],
+        ['disable', 4, [4, 4]],
+        ['enable', 5, null]
+      ]);
+    });
+
+    it('should treat ignore-line and ignore-next-line as aliases', () => {
+      const directives = parseDirectives('a // emoji-linter-ignore-line\n// emoji-linter-ignore-next-line');
+      expect(directives.map(({ type, name }) => [type, name])).toEqual([
+        ['disable-line', 'emoji-linter-ignore-line'],
+        ['disable-next-line', 'emoji-linter-ignore-next-line']
+      ]);
+      expect(directives[1].range).toEqual([3, 3]);
+    });
+
+    it('should leave disable blocks without enable open to the end of the file', () => {
+      expect(parseDirectives('// emoji-linter-disable')[0].range).toEqual([1, Infinity]);
+    });
+
+    it('should find directives on continuation lines of block comments', () => {
+      const content = '/**\n * emoji-linter-disable-next-line\n */\nconst a = "😀";';
+      expect(parseDirectives(content).map(({ type, range }) => [type, range])).toEqual([
+        ['disable-next-line', [4, 4]]
+      ]);
+    });
+
+    it('should make disable-next-line in a block comment cover the line after the comment', () => {
+      const content = 'const a = 1; /* emoji-linter-disable-next-line\n   -- greeting shown to users */\nconst b = "😀";';
+      const directives = parseDirectives(content, 'a.js');
+      expect(directives[0].range).toEqual([3, 3]);
+      expect(findSuppressingDirective(directives, 3)).toBe(directives[0]);
+      expect(parseDirectives('<!-- emoji-linter-disable-next-line -->\n😀', 'README.md')[0].range).toEqual([2, 2]);
+    });
+
+    it('should not find directives inside strings or block comment text', () => {
+      expect(parseDirectives('const s = "// emoji-linter-disable-line";')).toEqual([]);
+      expect(parseDirectives("const s = '# emoji-linter-disable-file';")).toEqual([]);
+      expect(parseDirectives('/* see emoji-linter-disable-line */')).toEqual([]);
+    });
+
+    it('should not find directives inside strings spanning lines', () => {
+      const template = 'const help = `\n// emoji-linter-disable-file\n`;\nconst a = "😀"; // emoji-linter-disable-line';
+      expect(parseDirectives(template, 'help.js').map(({ type, lineNumber }) => [type, lineNumber])).toEqual([
+        ['disable-line', 4]
+      ]);
+      expect(shouldIgnoreFile(template, 'help.js')).toBe(false);
+
+      const docstring = 'def greet():\n    """Say hi.\n    # emoji-linter-disable-next-line\n    """\n    return "😀"';
+      expect(parseDirectives(docstring, 'greet.py')).toEqual([]);
+      expect(parseDirectives("s = '''a\n# emoji-linter-disable-line\n'''  # emoji-linter-disable-line", 'a.py')
+        .map(({ lineNumber }) => lineNumber)).toEqual([3]);
+    });
+
+    it('should end single-quoted strings with their line', () => {
+      expect(parseDirectives('const s = "unterminated\nconst a = "😀"; // emoji-linter-disable-line', 'a.js'))
+        .toHaveLength(1);
+    });
+
+    it('should not open strings at quotes inside regex literals', () => {
+      const content = 's = s.replace(/`/g, "");\n// emoji-linter-disable-next-line\nconst a = "😀";';
+      expect(parseDirectives(content, 'a.js').map(({ type, lineNumber }) => [type, lineNumber])).toEqual([
+        ['disable-next-line', 2]
+      ]);
+      expect(parseDirectives('const quote = /"/; // emoji-linter-disable-line', 'a.ts')).toHaveLength(1);
+      expect(parseDirectives('const half = total / 2; // emoji-linter-disable-line "', 'a.js')).toHaveLength(1);
+      expect(parseDirectives('return /\'/.test(s); // emoji-linter-disable-line', 'a.js')).toHaveLength(1);
+    });
+
+    it('should find directives after apostrophes and other comment markers', () => {
+      expect(parseDirectives("Don't <!-- emoji-linter-disable-line -->")).toHaveLength(1);
+      expect(parseDirectives('color: #fff; /* emoji-linter-disable-line */')).toHaveLength(1);
+    });
+
+    it('should not allow names that merely start with a directive', () => {
+      expect(parseDirectives('// emoji-linter-disabled')).toEqual([]);
+    });
+
+    it('should parse emoji, shortcode and category targets', () => {
+      const [directive] = parseDirectives('// emoji-linter-disable-line 🚀, ⚠️ :white_check_mark: Flags');
+      expect(directive.targets).toEqual([
+        { token: '🚀', emoji: '🚀' },
+        { token: '⚠️', emoji: '⚠' },
+        { token: ':white_check_mark:', emoji: '✅' },
+        { token: 'Flags', category: 'Flags' }
+      ]);
+    });
+
+    it('should stop targets at a -- comment', () => {
+      const [directive] = parseDirectives('/* emoji-linter-disable-line 🚀 -- launch copy */');
+      expect(directive.targets.map(({ token }) => token)).toEqual(['🚀']);
+      expect(directive.text).toBe('🚀 -- launch copy');
+    });
+
+    it('should handle non-string input', () => {
+      expect(parseDirectives(null)).toEqual([]);
+    });
+  });
+
+  describe('findSuppressingDirective', () => {
+    it('should return the directive covering a line', () => {
+      const directives = parseDirectives('a\n// emoji-linter-disable-next-line\nb');
+      expect(findSuppressingDirective(directives, 3)).toBe(directives[0]);
+      expect(findSuppressingDirective(directives, 2)).toBeNull();
+    });
+
+    it('should only match targeted emojis and categories', () => {
+      const directives = parseDirectives('a // emoji-linter-disable-line 🚀 flags');
+      expect(findSuppressingDirective(directives, 1, { emoji: '🚀' })).toBe(directives[0]);
+      expect(findSuppressingDirective(directives, 1, { emoji: '🇺🇸', group: 'Flags' })).toBe(directives[0]);
+      expect(findSuppressingDirective(directives, 1, { emoji: '🔥', group: 'Travel & Places' })).toBeNull();
+    });
+
+    it('should match shortcode matches by their emoji', () => {
+      const directives = parseDirectives('a // emoji-linter-disable-line 🚀');
+      expect(findSuppressingDirective(directives, 1, { emoji: ':rocket:', unicode: '🚀' })).toBe(directives[0]);
+    });
+
+    it('should not treat targeted directives as ignoring the whole line', () => {
+      const directives = parseDirectives('a // emoji-linter-disable-line 🚀');
+      expect(findSuppressingDirective(directives, 1)).toBeNull();
+    });
+  });
+
+  describe('isInsideDirective', () => {
+    it('should find emojis written in a directive comment', () => {
+      const directives = parseDirectives('x 🚀 /* emoji-linter-disable-next-line 🚀 */ 🚀');
+      expect(isInsideDirective(directives, { lineNumber: 1, columnNumber: 3 })).toBe(false);
+      expect(isInsideDirective(directives, { lineNumber: 1, columnNumber: 40 })).toBe(true);
+      expect(isInsideDirective(directives, { lineNumber: 1, columnNumber: 46 })).toBe(false);
+    });
+  });
+
+  describe('findDirectiveProblems', () => {
+    const content = 'a // emoji-linter-disable-line -- brand copy\nb // emoji-linter-disable-line\n// emoji-linter-enable';
+
+    it('should report nothing by default', () => {
+      expect(findDirectiveProblems(parseDirectives(content))).toEqual([]);
+    });
+
+    it('should report directives that suppressed nothing', () => {
+      const directives = parseDirectives(content);
+      directives[1].used = true;
+
+      expect(findDirectiveProblems(directives, { reportUnused: true })).toEqual([{
+        emoji: '',
+        type: 'unused-directive',
+        message: 'Unused emoji-linter-disable-line directive',
+        lineNumber: 1,
+        columnNumber: 3,
+        endLineNumber: 1,
+        endColumnNumber: 45,
+        offsets: { utf16: [2, 44] },
+        directive: 'emoji-linter-disable-line',
+        replacement: ''
+      }]);
+    });
+
+    it('should report the enable of an unused disable with it', () => {
+      const block = '// emoji-linter-disable\na\n// emoji-linter-enable\n// emoji-linter-disable\nb\n// emoji-linter-enable';
+      const directives = parseDirectives(block);
+      directives[2].used = true;
+
+      expect(findDirectiveProblems(directives, { reportUnused: true }).map(({ directive, lineNumber }) => [directive, lineNumber]))
+        .toEqual([['emoji-linter-disable', 1], ['emoji-linter-enable', 3]]);
+      expect(findDirectiveProblems(directives, { requireJustification: true }).map(({ lineNumber }) => lineNumber))
+        .toEqual([1, 4]);
+    });
+
+    it('should span the whole block comment when the directive is all it says', () => {
+      const problems = findDirectiveProblems(parseDirectives('a\n/*\n * emoji-linter-disable\n */\nb'), { reportUnused: true });
+      expect(problems.map(({ lineNumber, columnNumber, endLineNumber, endColumnNumber, offsets }) =>
+        [lineNumber, columnNumber, endLineNumber, endColumnNumber, offsets.utf16])).toEqual([[2, 1, 4, 4, [2, 32]]]);
+
+      const [noted] = findDirectiveProblems(parseDirectives('/*\n * Legacy copy\n * emoji-linter-disable\n */'), { reportUnused: true });
+      expect([noted.lineNumber, noted.endLineNumber]).toEqual([3, 3]);
+    });
+
+    it('should report directives without a justification', () => {
+      const problems = findDirectiveProblems(parseDirectives(content), { requireJustification: true });
+      expect(problems.map(({ type, lineNumber, fixable }) => [type, lineNumber, fixable])).toEqual([
+        ['unjustified-directive', 2, false]
+      ]);
+    });
+
+    it('should not treat an empty justification as one', () => {
+      const problems = findDirectiveProblems(parseDirectives('// emoji-linter-disable --'), { requireJustification: true });
+      expect(problems).toHaveLength(1);
+    });
+  });
+
+  describe('parseInlineConfig', () => {
+    it('should collect allow, severity and max settings', () => {
+      const content = [
+        '/* emoji-linter allow: ✅ ❌ */',
+        '# emoji-linter severity: WARN',
+        '<!-- emoji-linter max: 3 -->',
+        '// emoji-linter allow: flags'
+      ].join('\n');
+
+      expect(parseInlineConfig(parseDirectives(content))).toEqual({
+        allow: [
+          { token: '✅', emoji: '✅' },
+          { token: '❌', emoji: '❌' },
+          { token: 'flags', category: 'Flags' }
+        ],
+        severity: 'warn',
+        max: 3
+      });
+    });
+
+    it('should default to no settings', () => {
+      expect(parseInlineConfig(parseDirectives('const a = 1;'))).toEqual({ allow: [], severity: null, max: null });
+    });
+
+    it('should skip invalid settings and report them', () => {
+      const directives = parseDirectives('// emoji-linter severity: loud\n// emoji-linter colour: red\n// emoji-linter max: lots');
+      expect(parseInlineConfig(directives)).toEqual({ allow: [], severity: null, max: null });
+      expect(findDirectiveProblems(directives).map(({ type, message }) => [type, message])).toEqual([
+        ['invalid-directive', 'Invalid inline severity "loud". Valid severities: error, warn, off'],
+        ['invalid-directive', 'Unknown inline config "colour". Valid settings: allow, severity, max'],
+        ['invalid-directive', 'Invalid inline max "lots". Expected a whole number']
+      ]);
+    });
+
+    it('should only read the first 10 lines', () => {
+      const lines = Array(12).fill('');
+      lines[11] = '// emoji-linter max: 3';
+      const directives = parseDirectives(lines.join('\n'));
+      expect(parseInlineConfig(directives).max).toBeNull();
+      expect(findDirectiveProblems(directives)[0].message).toBe('Inline config must be in the first 10 lines');
+    });
+
+    it('should not report valid inline config as unused', () => {
+      expect(findDirectiveProblems(parseDirectives('// emoji-linter max: 3'), { reportUnused: true })).toEqual([]);
+    });
+  });
+
+  describe('language syntax', () => {
+    /**
+     * Directive types found in a single line of a file
+     * @param {string} filePath - File path
+     * @param {string} line - Line text
+     * @returns {Array<string>} Directive types
+     */
+    const typesIn = (filePath, line) => parseDirectives(line, filePath).map(({ type }) => type);
+
+    it.each([
+      ['query.sql', "SELECT '🚀'; -- emoji-linter-disable-line"],
+      ['init.lua', '--[[ emoji-linter-disable-line ]]'],
+      ['core.clj', '(str "🚀") ; emoji-linter-disable-line'],
+      ['setup.ini', 'name = 🚀 ; emoji-linter-disable-line'],
+      ['paper.tex', '🚀 % emoji-linter-disable-line'],
+      ['app.erl', 'X = "🚀". % emoji-linter-disable-line'],
+      ['build.bat', 'REM emoji-linter-disable-line'],
+      ['build.cmd', ':: emoji-linter-disable-line'],
+      ['page.j2', '{# emoji-linter-disable-line #}'],
+      ['page.hbs', '{{! emoji-linter-disable-line }}'],
+      ['page.hbs', '{{!-- emoji-linter-disable-line --}}'],
+      ['Module.vb', 'x = "🚀" \' emoji-linter-disable-line'],
+      ['Main.hs', '{- emoji-linter-disable-line -}'],
+      ['Dockerfile', '# emoji-linter-disable-line']
+    ])('should find directives in %s comments', (filePath, line) => {
+      expect(typesIn(filePath, line)).toEqual(['disable-line']);
+    });
+
+    it.each([
+      ['query.sql', "SELECT '-- emoji-linter-disable-line 🚀';"],
+      ['app.erl', 'X = "% emoji-linter-disable-line".'],
+      ['Module.vb', 'x = "\' emoji-linter-disable-line"'],
+      ['build.bat', 'echo REM emoji-linter-disable-line'],
+      ['build.bat', 'REMARK emoji-linter-disable-line'],
+      ['app.js', '# emoji-linter-disable-line'],
+      ['style.css', '// emoji-linter-disable-line']
+    ])('should not find directives outside %s comments', (filePath, line) => {
+      expect(typesIn(filePath, line)).toEqual([]);
+    });
+
+    it('should ignore quotes in markup prose', () => {
+      expect(typesIn('README.md', 'Don\'t "quote <!-- emoji-linter-disable-line -->')).toEqual(['disable-line']);
+    });
+
+    it('should fall back to the default syntax for unknown files', () => {
+      expect(getLanguageSyntax('notes.unknown')).toBe(LANGUAGE_SYNTAX.default);
+      expect(getLanguageSyntax()).toBe(LANGUAGE_SYNTAX.default);
+    });
+
+    it('should have comment syntax for every language', () => {
+      for (const language of Object.values(LANGUAGES)) {
+        expect(LANGUAGE_SYNTAX[language.comments]).toBeDefined();
+      }
+    });
+  });
+
   describe('patterns', () => {
-    it('should export ignore patterns', () => {
-      expect(IGNORE_PATTERNS).toBeDefined();
-      expect(IGNORE_PATTERNS.LINE_COMMENT).toBeInstanceOf(RegExp);
-      expect(IGNORE_PATTERNS.BLOCK_COMMENT).toBeInstanceOf(RegExp);
-      expect(IGNORE_PATTERNS.HASH_COMMENT).toBeInstanceOf(RegExp);
-      expect(IGNORE_PATTERNS.HTML_COMMENT).toBeInstanceOf(RegExp);
-    });
-
-    it('should export file ignore patterns', () => {
-      expect(FILE_IGNORE_PATTERNS).toBeDefined();
-      expect(FILE_IGNORE_PATTERNS.LINE_COMMENT).toBeInstanceOf(RegExp);
-      expect(FILE_IGNORE_PATTERNS.BLOCK_COMMENT).toBeInstanceOf(RegExp);
-      expect(FILE_IGNORE_PATTERNS.HASH_COMMENT).toBeInstanceOf(RegExp);
-      expect(FILE_IGNORE_PATTERNS.HTML_COMMENT).toBeInstanceOf(RegExp);
+    it('should export the directive pattern', () => {
+      expect(DIRECTIVE_PATTERN).toBeInstanceOf(RegExp);
+      expect(DIRECTIVE_PATTERN.test(' emoji-linter-disable-line')).toBe(true);
     });
   });
 });
\ No newline at end of file
@@ -47,6 +47,68 @@ describe('Output Utils - Edge Cases', () => {
       expect(() => formatter.formatResults(badData, 'json')).not.toThrow();
       expect(() => formatter.formatResults(badData, 'minimal')).not.toThrow();
     });
+
+    test('keeps file:line:col in minimal output and shows the end in the table', () => {
+      const results = [{
+        filePath: 'test.js',
+        emojis: [
+          { emoji: '🚀', type: 'unicode', lineNumber: 1, columnNumber: 1, endColumnNumber: 3 },
+          { emoji: '🚀', type: 'unicode', lineNumber: 1, columnNumber: 7, endLineNumber: 1, endColumnNumber: 9 }
+        ]
+      }];
+
+      expect(formatter.formatMinimal(results)).toBe('test.js:1:1 🚀\ntest.js:1:7 🚀');
+      expect(formatter.formatTable(results, {})).toContain('| test.js | 1 | 7 | 1:9 | 🚀 | unicode |');
+    });
+
+    test('shows the emoji name in the table when known', () => {
+      const results = [{
+        filePath: 'test.js',
+        emojis: [{ emoji: '🚀', type: 'unicode', lineNumber: 1, columnNumber: 1, name: 'rocket' }]
+      }];
+
+      expect(formatter.formatTable(results, {})).toContain('| test.js | 1 | 1 |  | 🚀 | unicode | rocket |');
+    });
+
+    test('shows the message of directive problems', () => {
+      const results = [{
+        filePath: 'test.js',
+        emojis: [{
+          emoji: '',
+          type: 'unused-directive',
+          message: 'Unused emoji-linter-disable-line directive',
+          lineNumber: 3,
+          columnNumber: 5,
+          endColumnNumber: 33
+        }]
+      }];
+
+      expect(formatter.formatMinimal(results)).toBe('test.js:3:5 Unused emoji-linter-disable-line directive');
+      expect(formatter.formatTable(results, {})).toContain('| unused-directive | Unused emoji-linter-disable-line directive |');
+    });
+
+    test('shows the severity of each finding', () => {
+      const results = [{
+        filePath: 'test.js',
+        emojis: [
+          { emoji: '🚀', type: 'unicode', lineNumber: 1, columnNumber: 1, name: 'rocket', severity: 'error' },
+          { emoji: '♥', type: 'unicode', lineNumber: 2, columnNumber: 1, name: 'heart suit', severity: 'warning' }
+        ]
+      }];
+
+      expect(formatter.formatMinimal(results)).toBe('test.js:1:1 🚀\ntest.js:2:1 ♥ (warning)');
+      expect(formatter.formatTable(results, {})).toContain('| test.js | 2 | 1 |  | ♥ | unicode | heart suit | warning |');
+    });
+
+    test('leaves the end empty when no end is known', () => {
+      const results = [{
+        filePath: 'test.js',
+        emojis: [{ emoji: '🚀', type: 'unicode', lineNumber: 2, columnNumber: 4 }]
+      }];
+
+      expect(formatter.formatMinimal(results)).toBe('test.js:2:4 🚀');
+      expect(formatter.formatTable(results, {})).toContain('| test.js | 2 | 4 |  | 🚀 |');
+    });
   });
 
   describe('OutputUtils', () => {
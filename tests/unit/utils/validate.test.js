@@ -0,0 +1,44 @@
+/**
+ * Tests for config schema validation
+ */
+
+const { validateSchema, formatProblem, findClosest } = require('../../../src/utils/validate');
+const schema = require('../../../src/config/schema.json');
+
+describe('Schema validation', () => {
+  test('accepts every default setting', () => {
+    const { DEFAULT_CONFIG } = require('../../../src/config/defaults');
+    expect(validateSchema(DEFAULT_CONFIG, schema)).toEqual([]);
+  });
+
+  test('checks replacement values', () => {
+    expect(validateSchema({ cleanup: { replacements: { '✅': '[x]', '⚠️': false } } }, schema)).toEqual([
+      { path: 'cleanup.replacements["⚠️"]', message: 'expected string, got boolean', suggestion: undefined }
+    ]);
+  });
+
+  test('checks minimums', () => {
+    expect(validateSchema({ output: { maxContextLines: -1 } }, schema).map(formatProblem))
+      .toEqual(['output.maxContextLines: must be at least 0, got -1']);
+  });
+
+  test('rejects a config that is not an object', () => {
+    expect(validateSchema(['ignore'], schema).map(formatProblem))
+      .toEqual(['(root): expected object, got array']);
+  });
+
+  test('lists the known keys when nothing is close', () => {
+    const [problem] = validateSchema({ output: { verbose: true } }, schema);
+    expect(problem.suggestion).toBe('expected one of "format", "useColors", "showContext", "maxContextLines"');
+  });
+
+  describe('findClosest', () => {
+    test.each([
+      ['jsn', ['table', 'json', 'minimal'], 'json'],
+      ['Format', ['format', 'useColors'], 'format'],
+      ['banana', ['table', 'json', 'minimal'], null]
+    ])('matches %j', (value, candidates, expected) => {
+      expect(findClosest(value, candidates)).toBe(expected);
+    });
+  });
+});